@@ -0,0 +1,112 @@
+/**
+ * Caller identity and ACL helpers shared by the cloud functions
+ */
+
+const { Auth } = require('parse-server/lib/Auth');
+const { parseConfig } = require('./storage.cjs');
+
+/**
+ * Build the options object for SDK calls so they run as the caller.
+ * The master key is only used when the caller actually sent it.
+ * @param {Object} request - The cloud function request
+ * @returns {Object} Options for save/find/get/destroy
+ */
+function requestOptions(request) {
+  if (request.master) {
+    return { useMasterKey: true };
+  }
+  if (request.user) {
+    return { sessionToken: request.user.getSessionToken() };
+  }
+  return {};
+}
+
+/**
+ * Build the ACL for a record.
+ * The calling user always gets read and write access. Extra users, roles and
+ * public access can be granted through the acl spec.
+ * @param {Object} request - The cloud function request
+ * @param {Object} [spec] - Explicit permissions
+ * @param {string[]} [spec.readUsers] - User ids with read access
+ * @param {string[]} [spec.writeUsers] - User ids with write access
+ * @param {string[]} [spec.readRoles] - Role names with read access
+ * @param {string[]} [spec.writeRoles] - Role names with write access
+ * @param {boolean} [spec.publicRead] - Grant public read access
+ * @param {boolean} [spec.publicWrite] - Grant public write access
+ * @returns {Parse.ACL} The ACL to set on the record
+ */
+function buildACL(request, spec) {
+  if (!request.user && !request.master && !spec) {
+    throw new Parse.Error(
+      Parse.Error.SESSION_MISSING,
+      'A logged in user or an explicit acl is required'
+    );
+  }
+
+  const acl = request.user ? new Parse.ACL(request.user) : new Parse.ACL();
+  if (!spec) {
+    return acl;
+  }
+
+  const { readUsers = [], writeUsers = [], readRoles = [], writeRoles = [] } = spec;
+  readUsers.forEach((userId) => acl.setReadAccess(userId, true));
+  writeUsers.forEach((userId) => acl.setWriteAccess(userId, true));
+  readRoles.forEach((role) => acl.setRoleReadAccess(role, true));
+  writeRoles.forEach((role) => acl.setRoleWriteAccess(role, true));
+  if (spec.publicRead) acl.setPublicReadAccess(true);
+  if (spec.publicWrite) acl.setPublicWriteAccess(true);
+
+  return acl;
+}
+
+/**
+ * Roles of a user, inherited ones included, as 'role:<name>' entries.
+ * Parse Server caches them per user.
+ * @param {Parse.User} [user] - The user
+ * @returns {Promise<string[]>} The roles; empty without a user
+ */
+async function rolesOf(user) {
+  if (!user) {
+    return [];
+  }
+  return new Auth({ config: parseConfig(), user }).getUserRoles();
+}
+
+/**
+ * Narrow a query to the rows the caller may find, the way Parse Server does
+ * before it queries: relation constraints are resolved, then class-level and
+ * pointer permissions are checked and read ACLs applied. For code that reads
+ * a collection directly instead of through Parse.Query.
+ * @param {Object} request - The cloud function request
+ * @param {string} className - Name of the class
+ * @param {Object} where - Query in REST `where` syntax
+ * @returns {Promise<{ where: Object|null, protectedFields: string[] }>} The narrowed query (null when
+ *   nothing is readable) and the fields hidden from the caller
+ */
+async function readableWhere(request, className, where) {
+  const database = parseConfig().database;
+  const schemaController = await database.loadSchema();
+  let readable = { ...where };
+  await database.reduceRelationKeys(className, readable, {});
+  await database.reduceInRelation(className, readable, schemaController);
+  if (request.master) {
+    return { where: readable, protectedFields: [] };
+  }
+
+  const auth = new Auth({ config: parseConfig(), user: request.user });
+  const aclGroup = request.user ? [request.user.id, ...(await auth.getUserRoles())] : [];
+  await schemaController.validatePermission(className, aclGroup, 'find');
+  readable = database.addPointerPermissions(schemaController, className, 'find', readable, aclGroup);
+  const protectedFields = database.addProtectedFields(schemaController, className, readable || {}, aclGroup, auth) || [];
+  if (!readable) {
+    return { where: null, protectedFields };
+  }
+  return { where: { ...readable, _rperm: { $in: [null, '*', ...aclGroup] } }, protectedFields };
+}
+
+module.exports = {
+  requestOptions,
+  buildACL,
+  rolesOf,
+  readableWhere,
+};
@@ -0,0 +1,279 @@
+/**
+ * Aggregation
+ *
+ * aggregateTable groups the rows matched by readTable-style filters and
+ * computes metrics per group, in one MongoDB aggregation. It reads the
+ * collection directly, so the caller's class-level permissions, pointer
+ * permissions, protected fields, field policies and read ACLs are applied
+ * here.
+ */
+
+const { transformKey, transformWhere } = require('parse-server/lib/Adapters/Storage/Mongo/MongoTransform');
+const { readableWhere } = require('./access.cjs');
+const { viewerOf, restrictedFields, assertQueryAllowed, visibleWhere } = require('./visibility.cjs');
+const { compileFilters, decodeValue } = require('./query.cjs');
+const { parseConfig, database } = require('./storage.cjs');
+const { withoutTrashed } = require('./trash.cjs');
+const { cloudError } = require('./logger.cjs');
+const { getConfig } = require('./config.cjs');
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const METRICS = {
+  count: { types: null, operator: '$sum' },
+  sum: { types: ['Number'], operator: '$sum' },
+  avg: { types: ['Number'], operator: '$avg' },
+  min: { types: ['Number', 'Date', 'String'], operator: '$min' },
+  max: { types: ['Number', 'Date', 'String'], operator: '$max' },
+};
+const HAVING_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'];
+const HAVING_LOGICAL = ['$or', '$and', '$nor'];
+const OUTPUT_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+const BUILT_IN_FIELDS = { objectId: 'String', createdAt: 'Date', updatedAt: 'Date' };
+
+function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown timezone '${timezone}'`);
+  }
+}
+
+/**
+ * Type of a field the caller may aggregate on.
+ */
+function fieldType(schema, protectedFields, field) {
+  const type = BUILT_IN_FIELDS[field] || (schema.fields[field] && schema.fields[field].type);
+  if (!type || ['ACL', 'Relation'].includes(type) || field.startsWith('_')) {
+    throw new Error(`Unknown field '${field}'`);
+  }
+  if (protectedFields.includes(field)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Permission denied for field '${field}'`);
+  }
+  return type;
+}
+
+/**
+ * Group key expressions by output name.
+ * @param {Array<string|Object>} groupBy - Fields, or { field, interval, as } for date buckets
+ */
+function groupKeys(className, schema, protectedFields, groupBy, timezone) {
+  const keys = {};
+  const types = {};
+  const fields = {};
+  [].concat(groupBy).forEach((spec) => {
+    const { field, interval, as = field } = typeof spec === 'string' ? { field: spec } : spec || {};
+    if (!field) {
+      throw new Error('groupBy entries need a field');
+    }
+    if (!OUTPUT_NAME.test(as) || keys[as]) {
+      throw new Error(`Invalid or duplicate group name '${as}'`);
+    }
+    const type = fieldType(schema, protectedFields, field);
+    const path = `$${transformKey(className, field, schema)}`;
+    fields[as] = field;
+    if (interval === undefined) {
+      keys[as] = path;
+      types[as] = type;
+      return;
+    }
+    if (!INTERVALS.includes(interval)) {
+      throw new Error(`interval must be one of ${INTERVALS.join(', ')}`);
+    }
+    if (type !== 'Date') {
+      throw new Error(`Cannot bucket '${field}' by ${interval}: not a Date field`);
+    }
+    keys[as] = { $dateTrunc: { date: path, unit: interval, timezone, startOfWeek: 'monday' } };
+    types[as] = 'Date';
+  });
+  return { keys, types, fields };
+}
+
+/**
+ * Accumulators by output name.
+ * @param {Object[]} metrics - { op, field, as }; count takes no field
+ */
+function accumulators(className, schema, protectedFields, metrics, groupNames) {
+  const result = {};
+  metrics.forEach((metric) => {
+    const { op, field, as = field ? `${op}_${field}` : op } = metric || {};
+    const definition = METRICS[op];
+    if (!definition) {
+      throw new Error(`Metric op must be one of ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (!OUTPUT_NAME.test(as) || result[as] || groupNames.includes(as)) {
+      throw new Error(`Invalid or duplicate metric name '${as}'`);
+    }
+    if (op === 'count') {
+      result[as] = { $sum: 1 };
+      return;
+    }
+    if (!field) {
+      throw new Error(`Metric ${op} needs a field`);
+    }
+    const type = fieldType(schema, protectedFields, field);
+    if (!definition.types.includes(type)) {
+      throw new Error(`Cannot compute ${op} of '${field}': ${type} field`);
+    }
+    result[as] = { [definition.operator]: `$${transformKey(className, field, schema)}` };
+  });
+  return result;
+}
+
+/**
+ * Check a `having` filter against the output names and decode its values.
+ * Uses the filter syntax, limited to comparisons.
+ */
+function compileHaving(having, names) {
+  if (!having || typeof having !== 'object' || Array.isArray(having)) {
+    throw new Error('having must be an object');
+  }
+  const match = {};
+  Object.entries(having).forEach(([key, value]) => {
+    if (HAVING_LOGICAL.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} expects a non-empty array of filters`);
+      }
+      match[key] = value.map((filter) => compileHaving(filter, names));
+      return;
+    }
+    if (!names.includes(key)) {
+      throw new Error(`having refers to '${key}', which is not a group or metric name`);
+    }
+    if (!value || typeof value !== 'object' || value.__type) {
+      match[key] = decodeValue(value);
+      return;
+    }
+    match[key] = {};
+    Object.entries(value).forEach(([operator, operand]) => {
+      if (!HAVING_OPERATORS.includes(operator)) {
+        throw new Error(`Unsupported having operator '${operator}' on '${key}'`);
+      }
+      match[key][operator] = Array.isArray(operand) ? operand.map(decodeValue) : decodeValue(operand);
+    });
+  });
+  return match;
+}
+
+function sortStage(sort, names) {
+  const stage = {};
+  [].concat(sort).forEach((key) => {
+    const name = key.replace(/^-/, '');
+    if (!names.includes(name)) {
+      throw new Error(`Cannot sort by '${name}', which is not a group or metric name`);
+    }
+    stage[name] = key.startsWith('-') ? -1 : 1;
+  });
+  return stage;
+}
+
+/**
+ * Encode a grouped value for the response: dates and pointers as in readTable.
+ */
+function encodeGroupValue(value, type, field, schema) {
+  if (value instanceof Date) {
+    return { __type: 'Date', iso: value.toISOString() };
+  }
+  if (type === 'Pointer' && typeof value === 'string') {
+    const [className, objectId] = value.split('$');
+    return { __type: 'Pointer', className: className || schema.fields[field].targetClass, objectId };
+  }
+  return value;
+}
+
+/**
+ * Aggregate the records of a table
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {Object} request.params.filters - Query filters in REST `where` syntax
+ * @param {Array<string|Object>} request.params.groupBy - Fields to group by, or { field, interval, as }
+ *   to bucket a Date field by hour, day, week or month
+ * @param {Object[]} request.params.metrics - { op: count|sum|avg|min|max, field, as } (default: count)
+ * @param {string} request.params.timezone - IANA timezone of the date buckets (default: UTC)
+ * @param {Object} request.params.having - Filters on group and metric values
+ * @param {string[]} request.params.sort - Group or metric names, e.g. ['-count'] (default: group names)
+ * @param {number} request.params.limit - Limit number of groups
+ */
+Parse.Cloud.define('aggregateTable', async (request) => {
+  const {
+    className,
+    filters = {},
+    groupBy = [],
+    metrics = [{ op: 'count' }],
+    timezone = 'UTC',
+    having,
+    sort,
+    limit = 100,
+  } = request.params;
+
+  if (!className) {
+    throw new Error('className is required');
+  }
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    throw new Error('metrics must be a non-empty array');
+  }
+  if (limit > getConfig().maxQueryLimit) {
+    throw new Error(`limit must be at most ${getConfig().maxQueryLimit}`);
+  }
+  checkTimezone(timezone);
+
+  try {
+    const schemaController = await parseConfig().database.loadSchema();
+    const schema = await schemaController.getOneSchema(className);
+    const { where, protectedFields: hidden } = await readableWhere(
+      request,
+      className,
+      withoutTrashed(compileFilters(className, filters)).toJSON().where
+    );
+    // Grouping by a masked field, or computing its min and max, would reveal its values
+    const viewer = await viewerOf(request);
+    assertQueryAllowed(className, { where: filters }, viewer);
+    const protectedFields = [...hidden, ...restrictedFields(className, viewer)];
+
+    const { keys, types, fields } = groupKeys(className, schema, protectedFields, groupBy, timezone);
+    const groupNames = Object.keys(keys);
+    const values = accumulators(className, schema, protectedFields, metrics, groupNames);
+    const names = [...groupNames, ...Object.keys(values)];
+
+    if (!where) {
+      return { success: true, className: className, count: 0, data: [] };
+    }
+    const pipeline = [
+      { $match: transformWhere(className, visibleWhere(className, where, viewer), schema) },
+      { $group: { _id: groupNames.length > 0 ? keys : null, ...values } },
+      {
+        $project: {
+          _id: 0,
+          ...Object.fromEntries(groupNames.map((name) => [name, `$_id.${name}`])),
+          ...Object.fromEntries(Object.keys(values).map((name) => [name, 1])),
+        },
+      },
+    ];
+    if (having) {
+      pipeline.push({ $match: compileHaving(having, names) });
+    }
+    const order = sort ? sortStage(sort, names) : Object.fromEntries(groupNames.map((name) => [name, 1]));
+    if (Object.keys(order).length > 0) {
+      pipeline.push({ $sort: order });
+    }
+    pipeline.push({ $limit: limit });
+
+    const { db, prefix } = await database();
+    const groups = await db.collection(`${prefix}${className}`).aggregate(pipeline).toArray();
+    const data = groups.map((group) => {
+      const row = {};
+      names.forEach((name) => {
+        row[name] = encodeGroupValue(group[name], types[name], fields[name], schema);
+      });
+      return row;
+    });
+
+    return {
+      success: true,
+      className: className,
+      count: data.length,
+      data: data,
+    };
+  } catch (error) {
+    throw cloudError('Failed to aggregate records', error);
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * Audit log of data and schema changes
+ *
+ * Every save and delete on every class, and every table-management call, is
+ * recorded in the internal `_AuditLog` class with the actor, the change and a
+ * before/after diff.
+ */
+
+const { systemCollection } = require('./storage.cjs');
+const { addGlobalTrigger } = require('./triggers.cjs');
+const { logger, cloudError } = require('./logger.cjs');
+
+const AUDIT_CLASS = '_AuditLog';
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ['password', 'sessionToken', 'authData', '_hashed_password'];
+const IGNORED_FIELDS = ['updatedAt'];
+
+let indexesReady = null;
+
+async function auditCollection() {
+  const collection = await systemCollection(AUDIT_CLASS);
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      collection.createIndex({ timestamp: -1 }),
+      collection.createIndex({ className: 1, timestamp: -1 }),
+      collection.createIndex({ 'actor.userId': 1, timestamp: -1 }),
+    ]).catch((error) => {
+      indexesReady = null;
+      throw error;
+    });
+  }
+  await indexesReady;
+  return collection;
+}
+
+/**
+ * Describe who made a request.
+ * @param {Object} request - A trigger or cloud function request
+ * @returns {Object} { type: 'master'|'user'|'anonymous', userId, ip }
+ */
+function actorOf(request) {
+  return {
+    type: request.master ? 'master' : request.user ? 'user' : 'anonymous',
+    userId: request.user ? request.user.id : null,
+    ip: request.ip || null,
+  };
+}
+
+function snapshot(obj) {
+  if (!obj) {
+    return {};
+  }
+  const json = obj.toJSON();
+  REDACTED_FIELDS.forEach((field) => {
+    if (field in json) json[field] = '[REDACTED]';
+  });
+  return json;
+}
+
+/**
+ * Field-level diff between two JSON snapshots.
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object} { field: { before, after } } for every changed field
+ */
+function diff(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Write an audit entry. Failures are logged and never fail the audited call.
+ * @param {Object} request - The request that made the change
+ * @param {Object} entry - { operation, className, objectId, diff }
+ */
+async function recordAudit(request, { operation, className, objectId = null, diff: changes = {} }) {
+  try {
+    const collection = await auditCollection();
+    await collection.insertOne({
+      actor: actorOf(request),
+      operation,
+      className,
+      objectId,
+      diff: changes,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    logger.error('Failed to write audit entry', { operation, className, error });
+  }
+}
+
+addGlobalTrigger('afterSave', (request) =>
+  recordAudit(request, {
+    operation: request.original ? 'update' : 'create',
+    className: request.object.className,
+    objectId: request.object.id,
+    diff: diff(snapshot(request.original), snapshot(request.object)),
+  })
+);
+
+addGlobalTrigger('afterDelete', (request) =>
+  recordAudit(request, {
+    operation: 'delete',
+    className: request.object.className,
+    objectId: request.object.id,
+    diff: diff(snapshot(request.object), {}),
+  })
+);
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * Query the audit log
+ * @param {Object} request - The request object
+ * @param {string} request.params.actor - A user id, or 'master' / 'anonymous'
+ * @param {string} request.params.className - Only entries for this class
+ * @param {string} request.params.objectId - Only entries for this record
+ * @param {string} request.params.operation - create, update, delete, createTable, alterTable, deleteTable, restoreTable or emptyTrash
+ * @param {string} request.params.from - ISO date, inclusive
+ * @param {string} request.params.to - ISO date, exclusive
+ * @param {number} request.params.limit - Limit number of results (default 100)
+ * @param {number} request.params.skip - Skip number of results
+ */
+Parse.Cloud.define(
+  'queryAuditLog',
+  async (request) => {
+    const { actor, className, objectId, operation, from, to, limit = 100, skip = 0 } = request.params;
+
+    try {
+      const filter = {};
+      if (actor === 'master' || actor === 'anonymous') filter['actor.type'] = actor;
+      else if (actor) filter['actor.userId'] = actor;
+      if (className) filter.className = className;
+      if (objectId) filter.objectId = objectId;
+      if (operation) filter.operation = operation;
+      if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = new Date(from);
+        if (to) filter.timestamp.$lt = new Date(to);
+      }
+
+      const collection = await auditCollection();
+      const entries = await collection.find(filter).sort({ timestamp: -1 }).skip(skip).limit(limit).toArray();
+
+      return {
+        success: true,
+        count: entries.length,
+        entries: entries.map(({ _id, ...entry }) => ({ id: _id.toString(), ...entry })),
+      };
+    } catch (error) {
+      throw cloudError('Failed to query audit log', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+module.exports = {
+  REDACTED_FIELDS,
+  actorOf,
+  snapshot,
+  recordAudit,
+  diff,
+};
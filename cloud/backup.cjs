@@ -0,0 +1,237 @@
+/**
+ * Whole-database backup and restore
+ *
+ * An archive is a gzipped NDJSON stream of entries:
+ *   { type: 'header', version, createdAt }
+ *   { type: 'collection', name, indexes }        once per collection, before its documents
+ *   { type: 'document', collection, bson }       raw BSON, base64 encoded
+ *   { type: 'file', name }                       a stored file, followed by
+ *   { type: 'chunk', data }                      its content, base64 encoded
+ *
+ * Documents are copied as stored by Parse Server (including `_SCHEMA`,
+ * `_User` password hashes and join tables), so a restore is exact. Locks and
+ * idempotency records only mean something to the server that wrote them and
+ * are left out. This module
+ * works on a MongoDB Db handle and does not need a running Parse Server, so it
+ * is shared by the cloud jobs and the npm scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const BSON = require('bson');
+
+// Version 1 archives stored each file in a single `data` field; they can still be restored
+const ARCHIVE_VERSION = 2;
+const SCHEMA_COLLECTION = '_SCHEMA';
+const INSERT_BATCH_SIZE = 1000;
+const FILE_CHUNK_SIZE = 1024 * 1024;
+
+// Collections a running server writes to by itself (schemas of built-in
+// classes, startup migrations, the restore job's own status). They are merged
+// by _id instead of requiring an empty target.
+const MERGED_COLLECTIONS = [SCHEMA_COLLECTION, '_Migration', '_JobStatus', '_AuditLog', '_WebhookDelivery'];
+const SKIPPED_COLLECTIONS = ['_MigrationLock', '_Idempotency'];
+
+const bson = new BSON();
+
+/**
+ * List the Parse collections of a database, without the collection prefix.
+ * @param {Db} db - MongoDB database
+ * @param {string} prefix - Collection prefix configured in Parse Server
+ * @returns {Promise<string[]>} Collection names
+ */
+async function listCollections(db, prefix) {
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  return collections
+    .map(({ name }) => name)
+    .filter((name) => name.startsWith(prefix) && !name.startsWith('system.'))
+    .map((name) => name.slice(prefix.length))
+    .filter((name) => !SKIPPED_COLLECTIONS.includes(name))
+    .sort();
+}
+
+/**
+ * Whether a collection belongs to one of the selected classes.
+ * Join tables (`_Join:field:Owner`) belong to their owning class.
+ */
+function belongsTo(collection, classes) {
+  if (!classes) return true;
+  const joinMatch = /^_Join:[^:]+:(.+)$/.exec(collection);
+  return classes.includes(joinMatch ? joinMatch[1] : collection);
+}
+
+function listFiles(filesDir) {
+  if (!filesDir || !fs.existsSync(filesDir)) {
+    return [];
+  }
+  return fs.readdirSync(filesDir).filter((name) => fs.statSync(path.join(filesDir, name)).isFile());
+}
+
+async function* archiveEntries(db, { prefix, filesDir, classes }) {
+  yield { type: 'header', version: ARCHIVE_VERSION, createdAt: new Date().toISOString() };
+
+  for (const name of await listCollections(db, prefix)) {
+    if (name !== SCHEMA_COLLECTION && !belongsTo(name, classes)) continue;
+
+    const collection = db.collection(`${prefix}${name}`);
+    const indexes = (await collection.indexes()).filter((index) => index.name !== '_id_');
+    yield { type: 'collection', name, indexes };
+
+    const filter = name === SCHEMA_COLLECTION && classes ? { _id: { $in: classes } } : {};
+    for await (const doc of collection.find(filter)) {
+      yield { type: 'document', collection: name, bson: bson.serialize(doc).toString('base64') };
+    }
+  }
+
+  for (const name of listFiles(filesDir)) {
+    yield { type: 'file', name };
+    for await (const data of fs.createReadStream(path.join(filesDir, name), { highWaterMark: FILE_CHUNK_SIZE })) {
+      yield { type: 'chunk', data: data.toString('base64') };
+    }
+  }
+}
+
+/**
+ * Write a backup archive.
+ * @param {Db} db - MongoDB database
+ * @param {Object} options - Backup options
+ * @param {string} options.output - Path of the archive to write
+ * @param {string} [options.prefix] - Collection prefix configured in Parse Server
+ * @param {string} [options.filesDir] - Directory of the files adapter; omit to skip files
+ * @param {string[]} [options.classes] - Only back up these classes
+ * @returns {Promise<Object>} Counts of collections, documents and files written
+ */
+async function createBackup(db, { output, prefix = '', filesDir, classes }) {
+  const stats = { collections: 0, documents: 0, files: 0 };
+  const lines = async function* (entries) {
+    for await (const entry of entries) {
+      if (entry.type === 'collection') stats.collections++;
+      if (entry.type === 'document') stats.documents++;
+      if (entry.type === 'file') stats.files++;
+      yield `${JSON.stringify(entry)}\n`;
+    }
+  };
+
+  await fs.promises.mkdir(path.dirname(output), { recursive: true });
+  await pipeline(
+    Readable.from(lines(archiveEntries(db, { prefix, filesDir, classes }))),
+    zlib.createGzip(),
+    fs.createWriteStream(output)
+  );
+  return stats;
+}
+
+/**
+ * Restore a backup archive into a database.
+ * Class collections must be empty; existing data is never overwritten.
+ * Documents of the bookkeeping collections in MERGED_COLLECTIONS replace the
+ * ones with the same _id, so a restore works on a server that has started.
+ * @param {Db} db - MongoDB database
+ * @param {Object} options - Restore options
+ * @param {string} options.input - Path of the archive to read
+ * @param {string} [options.prefix] - Collection prefix configured in Parse Server
+ * @param {string} [options.filesDir] - Directory of the files adapter; omit to skip files
+ * @param {string[]} [options.classes] - Only restore these classes
+ * @returns {Promise<Object>} Counts of collections, documents and files restored
+ */
+async function restoreBackup(db, { input, prefix = '', filesDir, classes }) {
+  const stats = { collections: 0, documents: 0, files: 0 };
+  let pending = [];
+  let current = null;
+  let currentName = null;
+  let file = null;
+
+  const flush = async () => {
+    if (pending.length > 0) {
+      if (MERGED_COLLECTIONS.includes(currentName)) {
+        await current.bulkWrite(
+          pending.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } }))
+        );
+      } else {
+        await current.insertMany(pending, { ordered: false });
+      }
+      stats.documents += pending.length;
+      pending = [];
+    }
+  };
+
+  const closeFile = async () => {
+    if (file) {
+      await file.close();
+      file = null;
+    }
+  };
+
+  const restoreEntry = async (entry) => {
+    if (entry.type === 'header') {
+      if (entry.version < 1 || entry.version > ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version ${entry.version}`);
+      }
+    } else if (entry.type === 'collection') {
+      await flush();
+      current = null;
+      if (SKIPPED_COLLECTIONS.includes(entry.name)) return;
+      if (entry.name !== SCHEMA_COLLECTION && !belongsTo(entry.name, classes)) return;
+
+      const collection = db.collection(`${prefix}${entry.name}`);
+      if (!MERGED_COLLECTIONS.includes(entry.name) && (await collection.countDocuments({})) > 0) {
+        throw new Error(`Collection '${entry.name}' is not empty; restore only into an empty database`);
+      }
+      for (const { key, name, v, ns, ...options } of entry.indexes) {
+        await collection.createIndex(key, { name, ...options });
+      }
+      current = collection;
+      currentName = entry.name;
+      stats.collections++;
+    } else if (entry.type === 'document') {
+      if (!current) return;
+      const doc = bson.deserialize(Buffer.from(entry.bson, 'base64'));
+      if (entry.collection === SCHEMA_COLLECTION && classes && !classes.includes(doc._id)) return;
+      pending.push(doc);
+      if (pending.length >= INSERT_BATCH_SIZE) {
+        await flush();
+      }
+    } else if (entry.type === 'file') {
+      await flush();
+      if (!filesDir) return;
+      await fs.promises.mkdir(filesDir, { recursive: true });
+      file = await fs.promises.open(path.join(filesDir, path.basename(entry.name)), 'w');
+      if (entry.data) {
+        await file.write(Buffer.from(entry.data, 'base64'));
+      }
+      stats.files++;
+    } else if (entry.type === 'chunk' && file) {
+      await file.write(Buffer.from(entry.data, 'base64'));
+    }
+  };
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(input).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+
+  try {
+    for await (const text of lines) {
+      if (!text) continue;
+      const entry = JSON.parse(text);
+      if (entry.type !== 'chunk') {
+        await closeFile();
+      }
+      await restoreEntry(entry);
+    }
+    await flush();
+  } finally {
+    await closeFile();
+  }
+
+  return stats;
+}
+
+module.exports = {
+  createBackup,
+  restoreBackup,
+};
@@ -0,0 +1,134 @@
+/**
+ * Chunked bulk operations that report per-object results
+ */
+
+const { compileFilters } = require('./query.cjs');
+const { getConfig } = require('./config.cjs');
+
+const DEFAULT_CHUNK_SIZE = 100;
+
+/**
+ * Reject a batch larger than the configured maximum (MAX_BATCH_SIZE).
+ * @param {string} name - Parameter name for the error message
+ * @param {number} size - Number of records or rows per chunk
+ */
+function assertBatchSize(name, size) {
+  const { maxBatchSize } = getConfig();
+  if (size > maxBatchSize) {
+    throw new Error(`${name} must be at most ${maxBatchSize}`);
+  }
+}
+
+/**
+ * Build the query that selects the rows of a bulk operation.
+ * @param {string} className - Name of the class
+ * @param {Object} params - Selection parameters
+ * @param {Object} [params.filters] - Filter object, same syntax as readTable
+ * @param {string[]} [params.objectIds] - Explicit list of ids
+ * @returns {Parse.Query} The query
+ */
+function selectionQuery(className, { filters, objectIds }) {
+  if (!filters && !Array.isArray(objectIds)) {
+    throw new Error('filters or objectIds are required');
+  }
+  if (filters && objectIds) {
+    throw new Error('filters and objectIds cannot be combined');
+  }
+  if (objectIds) {
+    assertBatchSize('objectIds', objectIds.length);
+  }
+  return compileFilters(className, filters || { objectId: { $in: objectIds } });
+}
+
+function failure(objectId, error) {
+  return {
+    objectId: objectId,
+    success: false,
+    error: { code: error.code || Parse.Error.OTHER_CAUSE, message: error.message },
+  };
+}
+
+/**
+ * Report ids that were requested explicitly but not matched.
+ * @param {string[]} [objectIds] - Requested ids
+ * @param {Set<string>} seen - Ids that were processed
+ * @returns {Object[]} Failure results
+ */
+function missingResults(objectIds, seen) {
+  return (objectIds || [])
+    .filter((objectId) => !seen.has(objectId))
+    .map((objectId) => failure(objectId, new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.')));
+}
+
+/**
+ * Save a chunk of objects. saveAll stops at the first error, so when it
+ * fails the objects it did not save are retried one by one.
+ * @param {Parse.Object[]} objects - Objects to save
+ * @param {Object} options - Save options
+ * @returns {Promise<Object[]>} Per-object results
+ */
+async function saveChunk(objects, options) {
+  try {
+    await Parse.Object.saveAll(objects, options);
+    return objects.map((obj) => ({ objectId: obj.id, success: true }));
+  } catch (error) {
+    return Promise.all(
+      objects.map(async (obj) => {
+        if (!obj.dirty()) {
+          return { objectId: obj.id, success: true };
+        }
+        try {
+          await obj.save(null, options);
+          return { objectId: obj.id, success: true };
+        } catch (saveError) {
+          obj.revert();
+          return failure(obj.id, saveError);
+        }
+      })
+    );
+  }
+}
+
+/**
+ * Run an operation over every row matched by a query, one chunk at a time.
+ * @param {Parse.Query} query - The selection query
+ * @param {Function} operation - async (objects) => results for one chunk
+ * @param {Object} options - Query options
+ * @param {number} [chunkSize] - Rows per chunk
+ * @returns {Promise<Object[]>} Per-object results
+ */
+async function processInChunks(query, operation, options, chunkSize = DEFAULT_CHUNK_SIZE) {
+  assertBatchSize('chunkSize', chunkSize);
+  const results = [];
+  await query.eachBatch(
+    async (objects) => {
+      results.push(...(await operation(objects)));
+    },
+    { ...options, batchSize: chunkSize }
+  );
+  return results;
+}
+
+/**
+ * Summarize per-object results.
+ * @param {Object[]} results - Per-object results
+ * @returns {Object} { succeeded, failed, results }
+ */
+function summarize(results) {
+  const failed = results.filter((result) => !result.success).length;
+  return {
+    succeeded: results.length - failed,
+    failed: failed,
+    results: results,
+  };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  assertBatchSize,
+  selectionQuery,
+  missingResults,
+  saveChunk,
+  processInChunks,
+  summarize,
+};
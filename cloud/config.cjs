@@ -0,0 +1,533 @@
+/**
+ * Server configuration
+ *
+ * Settings come from an optional JSON file (CONFIG_FILE, default
+ * ./config.json when it exists) keyed by option name, overridden by
+ * environment variables. Every value is checked against SCHEMA; all problems
+ * are reported together. This module does not need a running Parse Server,
+ * so it is shared by the server, the cloud code and the npm scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MASTER_KEY = 'parse-master-key-123456789';
+const DEFAULT_DASHBOARD_PASSWORD = 'admin123';
+const DEFAULT_CONFIG_FILE = './config.json';
+
+const MIN_MASTER_KEY_LENGTH = 32;
+const MIN_DASHBOARD_PASSWORD_LENGTH = 12;
+const COMMON_PASSWORDS = ['admin', 'admin123', 'password', 'password123', '123456', '12345678', 'changeme', 'secret'];
+
+// Class-level permissions that let anyone change data or schemas on every class
+const WRITE_OPERATIONS = ['create', 'update', 'delete', 'addField'];
+
+const OPEN_CLASS_LEVEL_PERMISSIONS = {
+  '*': {
+    find: { '*': true },
+    count: { '*': true },
+    get: { '*': true },
+    create: { '*': true },
+    update: { '*': true },
+    delete: { '*': true },
+    addField: { '*': true },
+  },
+};
+
+// Requests per window; see cloud/ratelimit.cjs for the rule format
+const DEFAULT_RATE_LIMITS = [
+  { route: '/parse', key: 'ip', limit: 600, windowMs: 60 * 1000 },
+  { route: '/export', key: 'user', limit: 30, windowMs: 60 * 1000 },
+  {
+    function: ['batchCreateRecords', 'batchUpdateRecords', 'batchDeleteRecords', 'upsertRecords', 'importTable'],
+    key: 'user',
+    limit: 30,
+    windowMs: 60 * 1000,
+  },
+  { function: ['readTable', 'exportTable', 'countRecords'], key: 'user', limit: 300, windowMs: 60 * 1000 },
+];
+const RATE_LIMIT_KEYS = ['ip', 'user', 'appKey'];
+
+// Cross-origin policies by path; see cloud/cors.cjs for the policy format
+const DEFAULT_CORS_POLICIES = {
+  '/parse': {
+    origins: ['*'],
+    credentials: false,
+    maxAge: 600,
+    exposedHeaders: ['X-Parse-Job-Status-Id', 'X-Parse-Push-Status-Id', 'Retry-After'],
+  },
+  '/dashboard': { origins: [] },
+  '/health': { origins: ['*'], maxAge: 600 },
+};
+const CORS_POLICY_KEYS = ['origins', 'credentials', 'maxAge', 'headers', 'exposedHeaders'];
+
+// Field visibility by class; see cloud/visibility.cjs for the policy format
+const DEFAULT_FIELD_POLICIES = {
+  _User: { email: { visibleTo: ['self'] } },
+};
+const FIELD_POLICY_KEYS = ['visibleTo', 'mask', 'maskedTo'];
+const MASKS = ['last4', 'email', 'redacted'];
+
+// Validation rules by class; see cloud/validation.cjs for the rule format
+const CLASS_RULE_KEYS = ['required', 'properties', 'additionalProperties'];
+const FIELD_RULE_KEYS = [
+  'type',
+  'enum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'minItems',
+  'maxItems',
+];
+const VALUE_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'boolean',
+  'array',
+  'object',
+  'date',
+  'pointer',
+  'file',
+  'geopoint',
+  'polygon',
+];
+
+/**
+ * Option name -> { env, type, default, secret, values }.
+ * A default may be a function of the options declared before it.
+ */
+const SCHEMA = {
+  nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development', values: ['development', 'production', 'test'] },
+  logLevel: { env: 'LOG_LEVEL', type: 'string', default: 'info', values: ['debug', 'info', 'warn', 'error'] },
+  port: { env: 'PORT', type: 'port', default: 1337 },
+  databaseURI: { env: 'MONGODB_URI', type: 'uri', default: 'mongodb://mongo:27017/parse', secret: 'credentials' },
+  appId: { env: 'APP_ID', type: 'string', default: 'parse-app-id-123456789' },
+  masterKey: { env: 'MASTER_KEY', type: 'string', default: DEFAULT_MASTER_KEY, secret: true },
+  serverURL: { env: 'SERVER_URL', type: 'uri', default: ({ port }) => `http://localhost:${port}/parse` },
+  publicServerURL: { env: 'PUBLIC_SERVER_URL', type: 'uri', default: ({ serverURL }) => serverURL },
+  classLevelPermissions: { env: 'CLASS_LEVEL_PERMISSIONS', type: 'json', default: OPEN_CLASS_LEVEL_PERMISSIONS },
+  dashboardUser: { env: 'DASHBOARD_USER', type: 'string', default: 'admin' },
+  dashboardPassword: { env: 'DASHBOARD_PASSWORD', type: 'string', default: DEFAULT_DASHBOARD_PASSWORD, secret: true },
+  liveQueryPath: { env: 'LIVE_QUERY_PATH', type: 'path', default: '/live' },
+  liveQueryClasses: { env: 'LIVE_QUERY_CLASSES', type: 'list', default: ['Post', 'Comment', 'Message'] },
+  historyClasses: { env: 'HISTORY_CLASSES', type: 'list', default: ['Post'] },
+  backupDir: { env: 'BACKUP_DIR', type: 'string', default: './backups' },
+  trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', type: 'number', default: 30 },
+  healthCheckTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'number', default: 2000 },
+  healthDbLatencyMs: { env: 'HEALTH_DB_LATENCY_MS', type: 'number', default: 500 },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'number', default: 30000 },
+  webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'number', default: 8 },
+  webhookRetryBaseMs: { env: 'WEBHOOK_RETRY_BASE_MS', type: 'number', default: 10000 },
+  webhookTimeoutMs: { env: 'WEBHOOK_TIMEOUT_MS', type: 'number', default: 10000 },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: '', secret: true },
+  rateLimits: { env: 'RATE_LIMITS', type: 'rules', default: DEFAULT_RATE_LIMITS },
+  rateLimitStore: { env: 'RATE_LIMIT_STORE', type: 'string', default: 'memory', values: ['memory', 'redis'] },
+  redisUrl: { env: 'REDIS_URL', type: 'uri', default: 'redis://redis:6379', secret: 'credentials' },
+  maxQueryLimit: { env: 'MAX_QUERY_LIMIT', type: 'number', default: 1000 },
+  maxBatchSize: { env: 'MAX_BATCH_SIZE', type: 'number', default: 500 },
+  maxBodySize: { env: 'MAX_BODY_SIZE', type: 'size', default: '1mb' },
+  maxUploadSize: { env: 'MAX_UPLOAD_SIZE', type: 'size', default: '20mb' },
+  corsPolicies: { env: 'CORS_POLICIES', type: 'cors', default: DEFAULT_CORS_POLICIES },
+  validationRules: { env: 'VALIDATION_RULES', type: 'validation', default: {} },
+  allowClientClassCreation: { env: 'ALLOW_CLIENT_CLASS_CREATION', type: 'boolean', default: true },
+  fieldPolicies: { env: 'FIELD_POLICIES', type: 'fields', default: DEFAULT_FIELD_POLICIES },
+  enforcePrivateUsers: { env: 'ENFORCE_PRIVATE_USERS', type: 'boolean', default: true },
+};
+
+// Parse an environment variable (always a string) into the option type
+function fromEnv(type, text) {
+  switch (type) {
+    case 'number':
+    case 'port':
+      return text.trim() === '' ? NaN : Number(text);
+    case 'boolean':
+      return { true: true, false: false }[text.trim().toLowerCase()];
+    case 'list':
+      return text
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    case 'json':
+    case 'rules':
+    case 'cors':
+    case 'validation':
+    case 'fields':
+      return JSON.parse(text);
+    default:
+      return text;
+  }
+}
+
+// Returns a problem description, or null when the value is valid
+function checkType(type, value) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+    case 'port':
+      return Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a port number (1-65535)';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'list':
+      return Array.isArray(value) && value.every((item) => typeof item === 'string') ? null : 'must be a list of strings';
+    case 'json':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be a JSON object';
+    case 'uri':
+      try {
+        new URL(value);
+        return null;
+      } catch (error) {
+        return 'must be a valid URL';
+      }
+    case 'size':
+      return typeof value === 'string' && /^\d+(b|kb|mb|gb)?$/i.test(value) ? null : "must be a size such as '500kb' or '1mb'";
+    case 'rules':
+      if (!Array.isArray(value)) {
+        return 'must be a JSON array of rules';
+      }
+      return value.map(checkRule).find(Boolean) || null;
+    case 'cors':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be a JSON object of policies by path';
+      }
+      return (
+        Object.entries(value)
+          .map(([mount, policy]) => checkCorsPolicy(mount, policy))
+          .find(Boolean) || null
+      );
+    case 'validation':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be a JSON object of rules by class';
+      }
+      return (
+        Object.entries(value)
+          .map(([className, rules]) => checkValidationRules(className, rules))
+          .find(Boolean) || null
+      );
+    case 'fields':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be a JSON object of field policies by class';
+      }
+      return (
+        Object.entries(value)
+          .map(([className, policies]) => checkFieldPolicies(className, policies))
+          .find(Boolean) || null
+      );
+    case 'path':
+      return typeof value === 'string' && value.startsWith('/') ? null : "must be a path starting with '/'";
+    default:
+      return typeof value === 'string' && value !== '' ? null : 'must be a non-empty string';
+  }
+}
+
+function checkRule(rule, index) {
+  const problem = (text) => `rule ${index + 1} ${text}`;
+  if (!rule || typeof rule !== 'object') {
+    return problem('must be an object');
+  }
+  const functions = [].concat(rule.function || []);
+  if (!rule.route === !rule.function) {
+    return problem('needs either route or function');
+  }
+  if (rule.route && (typeof rule.route !== 'string' || !rule.route.startsWith('/'))) {
+    return problem("route must start with '/'");
+  }
+  if (functions.some((name) => typeof name !== 'string')) {
+    return problem('function must be a name or a list of names');
+  }
+  if (!RATE_LIMIT_KEYS.includes(rule.key)) {
+    return problem(`key must be one of ${RATE_LIMIT_KEYS.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.limit) || rule.limit < 1 || !Number.isInteger(rule.windowMs) || rule.windowMs < 1) {
+    return problem('limit and windowMs must be positive integers');
+  }
+  return null;
+}
+
+function checkCorsPolicy(mount, policy) {
+  const problem = (text) => `policy '${mount}' ${text}`;
+  const isList = (list) => Array.isArray(list) && list.every((item) => typeof item === 'string');
+  if (!mount.startsWith('/')) {
+    return problem("path must start with '/'");
+  }
+  if (!policy || typeof policy !== 'object') {
+    return problem('must be an object');
+  }
+  const unknown = Object.keys(policy).find((key) => !CORS_POLICY_KEYS.includes(key));
+  if (unknown) {
+    return problem(`has unknown key '${unknown}'`);
+  }
+  if (!isList(policy.origins)) {
+    return problem('origins must be a list of origins');
+  }
+  if (policy.credentials !== undefined && typeof policy.credentials !== 'boolean') {
+    return problem('credentials must be true or false');
+  }
+  if (policy.credentials && policy.origins.includes('*')) {
+    return problem("cannot allow credentials for origin '*'");
+  }
+  if (policy.maxAge !== undefined && (!Number.isInteger(policy.maxAge) || policy.maxAge < 0)) {
+    return problem('maxAge must be a non-negative integer');
+  }
+  if ((policy.headers && !isList(policy.headers)) || (policy.exposedHeaders && !isList(policy.exposedHeaders))) {
+    return problem('headers and exposedHeaders must be lists of header names');
+  }
+  return null;
+}
+
+function checkFieldRule(className, field, rule) {
+  const problem = (text) => `rules of '${className}' field '${field}' ${text}`;
+  const isCount = (count) => count === undefined || (Number.isInteger(count) && count >= 0);
+  const isBound = (bound) => bound === undefined || (typeof bound === 'number' && Number.isFinite(bound));
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return problem('must be an object');
+  }
+  const unknown = Object.keys(rule).find((key) => !FIELD_RULE_KEYS.includes(key));
+  if (unknown) {
+    return problem(`has unknown key '${unknown}'`);
+  }
+  if (rule.type !== undefined && ![].concat(rule.type).every((type) => VALUE_TYPES.includes(type))) {
+    return problem(`type must be one of ${VALUE_TYPES.join(', ')}, or a list of them`);
+  }
+  if (rule.enum !== undefined && (!Array.isArray(rule.enum) || rule.enum.length === 0)) {
+    return problem('enum must be a non-empty list of values');
+  }
+  if (![rule.minLength, rule.maxLength, rule.minItems, rule.maxItems].every(isCount)) {
+    return problem('minLength, maxLength, minItems and maxItems must be non-negative integers');
+  }
+  if (![rule.minimum, rule.maximum, rule.exclusiveMinimum, rule.exclusiveMaximum].every(isBound)) {
+    return problem('minimum, maximum, exclusiveMinimum and exclusiveMaximum must be numbers');
+  }
+  if (rule.pattern !== undefined) {
+    try {
+      new RegExp(rule.pattern, 'u');
+    } catch (error) {
+      return problem(`pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+function checkValidationRules(className, rules) {
+  const problem = (text) => `rules of '${className}' ${text}`;
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return problem('must be an object');
+  }
+  const unknown = Object.keys(rules).find((key) => !CLASS_RULE_KEYS.includes(key));
+  if (unknown) {
+    return problem(`have unknown key '${unknown}'`);
+  }
+  const { required = [] } = rules;
+  if (!Array.isArray(required) || required.some((name) => typeof name !== 'string')) {
+    return problem('required must be a list of field names');
+  }
+  if (rules.additionalProperties !== undefined && typeof rules.additionalProperties !== 'boolean') {
+    return problem('additionalProperties must be true or false');
+  }
+  const properties = rules.properties || {};
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    return problem('properties must be an object of rules by field');
+  }
+  return (
+    Object.entries(properties)
+      .map(([field, rule]) => checkFieldRule(className, field, rule))
+      .find(Boolean) || null
+  );
+}
+
+function checkFieldPolicies(className, policies) {
+  const isList = (list) => Array.isArray(list) && list.every((item) => typeof item === 'string');
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    return `policies of '${className}' must be an object of policies by field`;
+  }
+  for (const [field, policy] of Object.entries(policies)) {
+    const problem = (text) => `policy of '${className}' field '${field}' ${text}`;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return problem('must be an object');
+    }
+    const unknown = Object.keys(policy).find((key) => !FIELD_POLICY_KEYS.includes(key));
+    if (unknown) {
+      return problem(`has unknown key '${unknown}'`);
+    }
+    if ((policy.visibleTo && !isList(policy.visibleTo)) || (policy.maskedTo && !isList(policy.maskedTo))) {
+      return problem('visibleTo and maskedTo must be lists of role names');
+    }
+    if (policy.mask !== undefined && !MASKS.includes(policy.mask)) {
+      return problem(`mask must be one of ${MASKS.join(', ')}`);
+    }
+    if (policy.maskedTo && policy.mask === undefined) {
+      return problem('maskedTo needs a mask');
+    }
+  }
+  return null;
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`Config file ${file} not found`);
+    }
+    return {};
+  }
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return values;
+}
+
+function invalid(problems) {
+  return new Error(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+}
+
+/**
+ * Load and validate the configuration.
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.file] - Config file (default: CONFIG_FILE, or ./config.json when it exists)
+ * @returns {Object} The configuration, keyed by option name
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const fileValues = readConfigFile(path.resolve(file || DEFAULT_CONFIG_FILE), Boolean(file));
+  const problems = [];
+  const config = {};
+
+  Object.keys(fileValues)
+    .filter((name) => !SCHEMA[name])
+    .forEach((name) => problems.push(`Unknown option '${name}' in config file`));
+
+  Object.entries(SCHEMA).forEach(([name, option]) => {
+    let value;
+    let source;
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      source = option.env;
+      try {
+        value = fromEnv(option.type, env[option.env]);
+      } catch (error) {
+        problems.push(`${source} ${checkType(option.type, undefined)}`);
+        return;
+      }
+    } else if (fileValues[name] !== undefined) {
+      source = `'${name}' in config file`;
+      value = fileValues[name];
+    } else {
+      config[name] = typeof option.default === 'function' ? option.default(config) : option.default;
+      return;
+    }
+
+    let problem = checkType(option.type, value);
+    if (!problem && option.values && !option.values.includes(value)) {
+      problem = `must be one of ${option.values.join(', ')}`;
+    }
+    if (problem) {
+      problems.push(`${source} ${problem}`);
+    } else {
+      config[name] = value;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw invalid(problems);
+  }
+  config.production = config.nodeEnv === 'production';
+  return config;
+}
+
+/**
+ * List what makes a configuration unsafe to run in production.
+ * @param {Object} config - The configuration
+ * @returns {string[]} Problems; empty when the configuration is safe
+ */
+function productionProblems(config) {
+  const problems = [];
+  if (config.masterKey === DEFAULT_MASTER_KEY) {
+    problems.push('MASTER_KEY is the default value');
+  } else if (config.masterKey.length < MIN_MASTER_KEY_LENGTH) {
+    problems.push(`MASTER_KEY must be at least ${MIN_MASTER_KEY_LENGTH} characters`);
+  }
+  if (config.dashboardPassword === DEFAULT_DASHBOARD_PASSWORD) {
+    problems.push('DASHBOARD_PASSWORD is the default value');
+  } else if (
+    config.dashboardPassword.length < MIN_DASHBOARD_PASSWORD_LENGTH ||
+    COMMON_PASSWORDS.includes(config.dashboardPassword.toLowerCase()) ||
+    config.dashboardPassword === config.dashboardUser
+  ) {
+    problems.push(`DASHBOARD_PASSWORD is weak; use at least ${MIN_DASHBOARD_PASSWORD_LENGTH} characters`);
+  }
+  const defaults = config.classLevelPermissions['*'] || {};
+  WRITE_OPERATIONS.forEach((operation) => {
+    if (defaults[operation] && defaults[operation]['*']) {
+      problems.push(`CLASS_LEVEL_PERMISSIONS let anyone ${operation} on every class`);
+    }
+  });
+  if (config.allowClientClassCreation) {
+    problems.push('ALLOW_CLIENT_CLASS_CREATION lets clients create classes');
+  }
+  return problems;
+}
+
+/**
+ * Refuse to run in production with default secrets, weak passwords,
+ * wide-open class-level permissions or client class creation.
+ * @param {Object} config - The configuration
+ */
+function assertProductionSafe(config) {
+  if (!config.production) {
+    return;
+  }
+  const problems = productionProblems(config);
+  if (problems.length > 0) {
+    throw invalid(problems);
+  }
+}
+
+/**
+ * Copy of the configuration that is safe to log.
+ * @param {Object} config - The configuration
+ * @returns {Object} The configuration with secrets redacted
+ */
+function redactConfig(config) {
+  const redacted = { ...config };
+  Object.entries(SCHEMA).forEach(([name, { secret }]) => {
+    if (!secret || !redacted[name]) return;
+    if (secret === 'credentials') {
+      const url = new URL(redacted[name]);
+      if (url.password) url.password = 'REDACTED';
+      redacted[name] = url.toString();
+    } else {
+      redacted[name] = '[REDACTED]';
+    }
+  });
+  return redacted;
+}
+
+let current = null;
+
+/**
+ * The configuration of this process, loaded on first use.
+ * @returns {Object} The configuration
+ */
+function getConfig() {
+  if (!current) {
+    current = loadConfig();
+  }
+  return current;
+}
+
+module.exports = {
+  SCHEMA,
+  loadConfig,
+  getConfig,
+  productionProblems,
+  assertProductionSafe,
+  redactConfig,
+};
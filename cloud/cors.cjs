@@ -0,0 +1,162 @@
+/**
+ * Cross-origin policies
+ *
+ * A policy applies to a path prefix and lists the browser origins that may
+ * call it:
+ *
+ *   '/parse': { origins: ['https://app.example.com', 'https://*.example.com'],
+ *               credentials: true, maxAge: 600, headers: [...], exposedHeaders: [...] }
+ *
+ * '*' alone allows any origin; '*' inside an origin matches any run of
+ * characters except '/'. `headers` defaults to the headers the Parse SDKs
+ * send. Paths without a policy send no CORS headers, not even Parse Server's
+ * own, so browsers only reach them from the same origin. The master key is never accepted from another
+ * origin, whatever the policy says.
+ */
+
+const METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const DEFAULT_HEADERS = [
+  'Content-Type',
+  'X-Parse-Application-Id',
+  'X-Parse-REST-API-Key',
+  'X-Parse-Javascript-Key',
+  'X-Parse-Client-Key',
+  'X-Parse-Session-Token',
+  'X-Parse-Installation-Id',
+  'X-Parse-Client-Version',
+  'X-Parse-Revocable-Session',
+  'X-Parse-Request-Id',
+  'X-Requested-With',
+  'Pragma',
+  'Cache-Control',
+];
+const MASTER_KEY_HEADER = 'x-parse-master-key';
+
+function originPattern(origin) {
+  const source = origin
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function compilePolicy(mount, policy) {
+  return {
+    mount,
+    anyOrigin: policy.origins.includes('*'),
+    patterns: policy.origins.filter((origin) => origin !== '*').map(originPattern),
+    credentials: Boolean(policy.credentials),
+    maxAge: policy.maxAge,
+    headers: (policy.headers || DEFAULT_HEADERS).filter((name) => name.toLowerCase() !== MASTER_KEY_HEADER),
+    exposedHeaders: policy.exposedHeaders || [],
+  };
+}
+
+function policyFor(policies, path) {
+  // Longest matching prefix wins
+  return policies.find(({ mount }) => path === mount || path.startsWith(`${mount}/`)) || null;
+}
+
+function isAllowed(policy, origin) {
+  return policy.anyOrigin || policy.patterns.some((pattern) => pattern.test(origin));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+function carriesMasterKey(req) {
+  return Boolean(req.get(MASTER_KEY_HEADER) || (req.body && typeof req.body === 'object' && req.body._MasterKey));
+}
+
+/**
+ * Keep `headers` as the response's CORS headers. Parse Server answers every
+ * request with its own permissive `Access-Control-*` headers, so replace
+ * whatever is set by the time the response head is written.
+ */
+function keepCorsHeaders(res, headers) {
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    res
+      .getHeaderNames()
+      .filter((name) => name.startsWith('access-control-'))
+      .forEach((name) => res.removeHeader(name));
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    return writeHead.apply(this, args);
+  };
+}
+
+function corsHeaders(policy, origin, preflight) {
+  const headers = {
+    'Access-Control-Allow-Origin': policy.anyOrigin && !policy.credentials ? '*' : origin,
+  };
+  if (policy.credentials) {
+    headers['Access-Control-Allow-Credentials'] = 'true';
+  }
+  if (preflight) {
+    headers['Access-Control-Allow-Methods'] = METHODS;
+    headers['Access-Control-Allow-Headers'] = policy.headers.join(', ');
+    if (policy.maxAge !== undefined) {
+      headers['Access-Control-Max-Age'] = String(policy.maxAge);
+    }
+  } else if (policy.exposedHeaders.length > 0) {
+    headers['Access-Control-Expose-Headers'] = policy.exposedHeaders.join(', ');
+  }
+  return headers;
+}
+
+/**
+ * Express middleware that applies the cross-origin policies. Mount it after
+ * the body parsers, so it sees a master key sent in the body.
+ * @param {Object} options - Middleware options
+ * @param {Object} options.policies - Policies by path prefix
+ * @param {string[]} [options.serverURLs] - URLs of this server; their origins count as same-origin
+ * @returns {Function} The middleware
+ */
+function corsMiddleware({ policies, serverURLs = [] }) {
+  const compiled = Object.entries(policies)
+    .map(([mount, policy]) => compilePolicy(mount, policy))
+    .sort((a, b) => b.mount.length - a.mount.length);
+  const ownHosts = serverURLs.map(hostOf).filter(Boolean);
+
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin) {
+      keepCorsHeaders(res, {});
+      next();
+      return;
+    }
+    const host = hostOf(origin);
+    const sameOrigin = host === req.get('host') || ownHosts.includes(host);
+
+    if (!sameOrigin && carriesMasterKey(req)) {
+      res.status(403).json({
+        code: Parse.Error.OPERATION_FORBIDDEN,
+        error: 'The master key cannot be used from a browser origin',
+      });
+      return;
+    }
+
+    const policy = policyFor(compiled, req.path);
+    if (policy) {
+      res.vary('Origin');
+    }
+    const preflight = req.method === 'OPTIONS' && Boolean(req.get('Access-Control-Request-Method'));
+    const allowed = policy !== null && isAllowed(policy, origin);
+    keepCorsHeaders(res, allowed ? corsHeaders(policy, origin, preflight) : {});
+
+    if (preflight) {
+      res.sendStatus(allowed ? 204 : 403);
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  corsMiddleware,
+};
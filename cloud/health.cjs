@@ -0,0 +1,139 @@
+/**
+ * Readiness checks
+ *
+ * Each check reports { status: 'ok' | 'fail', ... } and is bounded by
+ * HEALTH_CHECK_TIMEOUT_MS, so a hanging dependency fails the probe instead
+ * of hanging it.
+ */
+
+const crypto = require('crypto');
+const { getFunctionNames } = require('parse-server/lib/triggers');
+const { parseConfig, database } = require('./storage.cjs');
+const { liveQueryStats } = require('./livequery.cjs');
+const { getConfig } = require('./config.cjs');
+const { isShuttingDown } = require('./shutdown.cjs');
+
+const CHECK_TIMEOUT_MS = getConfig().healthCheckTimeoutMs;
+const DB_LATENCY_LIMIT_MS = getConfig().healthDbLatencyMs;
+
+const state = {
+  cloudCodeLoaded: false,
+  liveQueryServer: null,
+};
+
+/**
+ * Record that cloud code finished loading.
+ */
+function markCloudCodeLoaded() {
+  state.cloudCodeLoaded = true;
+}
+
+/**
+ * Register the LiveQuery server checked by readiness.
+ * @param {ParseLiveQueryServer} liveQueryServer - The server
+ */
+function setLiveQueryServer(liveQueryServer) {
+  state.liveQueryServer = liveQueryServer;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  const { db } = await database();
+  await db.command({ ping: 1 });
+  const latencyMs = Date.now() - started;
+  if (latencyMs > DB_LATENCY_LIMIT_MS) {
+    return { status: 'fail', latencyMs, error: `Latency above ${DB_LATENCY_LIMIT_MS}ms` };
+  }
+  return { status: 'ok', latencyMs };
+}
+
+async function checkFiles() {
+  const { adapter } = parseConfig().filesController;
+  const filename = `health-check-${crypto.randomBytes(8).toString('hex')}.txt`;
+  const data = Buffer.from(filename);
+
+  await adapter.createFile(filename, data, 'text/plain');
+  try {
+    const read = await adapter.getFileData(filename);
+    if (!data.equals(Buffer.from(read))) {
+      return { status: 'fail', error: 'Read back different contents' };
+    }
+  } finally {
+    await adapter.deleteFile(filename);
+  }
+  return { status: 'ok' };
+}
+
+async function checkLiveQuery() {
+  const { liveQueryServer } = state;
+  if (!liveQueryServer) {
+    return { status: 'fail', error: 'LiveQuery server not started' };
+  }
+  const transport = liveQueryServer.parseWebSocketServer && liveQueryServer.parseWebSocketServer.server;
+  if (!transport || !transport.wss) {
+    return { status: 'fail', error: 'WebSocket server not started' };
+  }
+  if (!liveQueryServer.server.listening) {
+    return { status: 'fail', error: 'HTTP server not listening' };
+  }
+  return { status: 'ok', ...liveQueryStats(liveQueryServer) };
+}
+
+async function checkCloudCode() {
+  if (!state.cloudCodeLoaded) {
+    return { status: 'fail', error: 'Cloud code not loaded' };
+  }
+  return { status: 'ok', functions: getFunctionNames(Parse.applicationId).length };
+}
+
+const CHECKS = {
+  database: checkDatabase,
+  files: checkFiles,
+  liveQuery: checkLiveQuery,
+  cloudCode: checkCloudCode,
+};
+
+/**
+ * Run every readiness check. Fails without running them once shutdown has
+ * started.
+ * @returns {Promise<{ status: string, timestamp: string, checks: Object }>} 'ok' only when every check passed
+ */
+async function readiness() {
+  if (isShuttingDown()) {
+    return {
+      status: 'fail',
+      timestamp: new Date().toISOString(),
+      checks: { shutdown: { status: 'fail', error: 'Shutting down' } },
+    };
+  }
+  const entries = await Promise.all(
+    Object.entries(CHECKS).map(async ([name, check]) => {
+      try {
+        return [name, await withTimeout(check(), CHECK_TIMEOUT_MS)];
+      } catch (error) {
+        return [name, { status: 'fail', error: error.message }];
+      }
+    })
+  );
+  const checks = Object.fromEntries(entries);
+
+  return {
+    status: entries.every(([, result]) => result.status === 'ok') ? 'ok' : 'fail',
+    timestamp: new Date().toISOString(),
+    checks,
+  };
+}
+
+module.exports = {
+  markCloudCodeLoaded,
+  setLiveQueryServer,
+  readiness,
+};
@@ -0,0 +1,240 @@
+/**
+ * Per-record version history
+ *
+ * Every save on the classes listed in the `history.classNames` server option
+ * stores a snapshot of the record in the internal `_History` class, numbered
+ * per record. A record that existed before its class was opted in gets its
+ * previous state stored as a baseline version on its first change.
+ */
+
+const { requestOptions } = require('./access.cjs');
+const { parseConfig, systemCollection } = require('./storage.cjs');
+const { addGlobalTrigger } = require('./triggers.cjs');
+const { actorOf, snapshot, diff, REDACTED_FIELDS } = require('./audit.cjs');
+const { viewerOf, fieldAccess, visibleValue, maskRecord, visibleRecord } = require('./visibility.cjs');
+const { logger, cloudError } = require('./logger.cjs');
+
+const HISTORY_CLASS = '_History';
+
+// Never written back by a revert; relations are not part of the row
+const FIXED_FIELDS = ['objectId', 'createdAt', 'updatedAt', 'ACL', ...REDACTED_FIELDS];
+
+// Attempts to claim the next version number when saves of one record race
+const MAX_VERSION_ATTEMPTS = 5;
+
+let indexesReady = null;
+
+async function historyCollection() {
+  const collection = await systemCollection(HISTORY_CLASS);
+  if (!indexesReady) {
+    indexesReady = collection
+      .createIndex({ className: 1, objectId: 1, version: -1 }, { unique: true })
+      .catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+  }
+  await indexesReady;
+  return collection;
+}
+
+/**
+ * Whether saves of a class are versioned.
+ * @param {string} className - Name of the class
+ * @returns {boolean}
+ */
+function hasHistory(className) {
+  const { classNames = [] } = parseConfig().history || {};
+  return classNames.includes(className);
+}
+
+/**
+ * A version as a viewer sees it, with the field policies applied to its
+ * snapshot and diff.
+ */
+function visibleVersion(className, objectId, version, viewer) {
+  const changes = {};
+  Object.entries(version.diff).forEach(([field, { before, after }]) => {
+    if (fieldAccess(className, objectId, field, viewer) !== 'hidden') {
+      changes[field] = {
+        before: visibleValue(className, objectId, field, before, viewer),
+        after: visibleValue(className, objectId, field, after, viewer),
+      };
+    }
+  });
+  const visible = { ...version, diff: changes };
+  if (version.snapshot) {
+    visible.snapshot = maskRecord(className, version.snapshot, viewer);
+  }
+  return visible;
+}
+
+function latestVersion(collection, className, objectId) {
+  return collection.find({ className, objectId }).sort({ version: -1 }).limit(1).next();
+}
+
+/**
+ * Store the next version of a record, retrying when a concurrent save took the number.
+ */
+async function appendVersion(collection, entry) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await latestVersion(collection, entry.className, entry.objectId);
+    const version = latest ? latest.version + 1 : 1;
+    try {
+      await collection.insertOne({ ...entry, version });
+      return version;
+    } catch (error) {
+      // 11000: duplicate key
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+addGlobalTrigger('afterSave', async (request) => {
+  const { object, original, context = {} } = request;
+  if (!hasHistory(object.className)) {
+    return;
+  }
+
+  try {
+    const collection = await historyCollection();
+    let latest = await latestVersion(collection, object.className, object.id);
+    if (!latest && original) {
+      const baseline = snapshot(original);
+      await appendVersion(collection, {
+        className: object.className,
+        objectId: object.id,
+        operation: 'baseline',
+        snapshot: baseline,
+        diff: diff({}, baseline),
+        actor: null,
+        createdAt: new Date(),
+      });
+      latest = { snapshot: baseline };
+    }
+
+    const current = snapshot(object);
+    const changes = diff(latest ? latest.snapshot : {}, current);
+    if (latest && Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const revertedTo = context.revertedToVersion;
+    await appendVersion(collection, {
+      className: object.className,
+      objectId: object.id,
+      operation: revertedTo ? 'revert' : original ? 'update' : 'create',
+      revertedTo: revertedTo || null,
+      snapshot: current,
+      diff: changes,
+      actor: actorOf(request),
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    logger.error('Failed to record history', { className: object.className, objectId: object.id, error });
+  }
+});
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * List the versions of a record, newest first
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {string} request.params.objectId - ID of the record
+ * @param {boolean} request.params.includeSnapshots - Also return the full record at each version
+ */
+Parse.Cloud.define('getRecordHistory', async (request) => {
+  const { className, objectId, includeSnapshots = false } = request.params;
+
+  if (!className || !objectId) {
+    throw new Error('className and objectId are required');
+  }
+  if (!hasHistory(className)) {
+    throw new Error(`History is not enabled for class ${className}`);
+  }
+
+  try {
+    // Only callers who can read the record can read its history
+    await new Parse.Query(className).get(objectId, requestOptions(request));
+
+    const collection = await historyCollection();
+    const versions = await collection
+      .find({ className, objectId })
+      .project({ _id: 0, className: 0, objectId: 0, ...(includeSnapshots ? {} : { snapshot: 0 }) })
+      .sort({ version: -1 })
+      .toArray();
+    const viewer = await viewerOf(request);
+
+    return {
+      success: true,
+      className: className,
+      objectId: objectId,
+      versions: versions.map((version) => visibleVersion(className, objectId, version, viewer)),
+    };
+  } catch (error) {
+    throw cloudError('Failed to get record history', error);
+  }
+});
+
+/**
+ * Restore a record to an earlier version. The revert is stored as a new version.
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {string} request.params.objectId - ID of the record
+ * @param {number|string} request.params.version - Version to restore
+ */
+Parse.Cloud.define('revertRecord', async (request) => {
+  const { className, objectId, version: requested } = request.params;
+  // JSON and REST clients may send the number as a string
+  const version = typeof requested === 'string' && requested.trim() !== '' ? Number(requested) : requested;
+
+  if (!className || !objectId || requested === undefined) {
+    throw new Error('className, objectId, and version are required');
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('version must be a positive integer');
+  }
+  if (!hasHistory(className)) {
+    throw new Error(`History is not enabled for class ${className}`);
+  }
+
+  try {
+    const collection = await historyCollection();
+    const entry = await collection.findOne({ className, objectId, version });
+    if (!entry) {
+      throw new Error(`Version ${version} not found`);
+    }
+
+    const options = requestOptions(request);
+    const obj = await new Parse.Query(className).get(objectId, options);
+    const fields = new Set([...Object.keys(obj.toJSON()), ...Object.keys(entry.snapshot)]);
+    fields.forEach((field) => {
+      const value = entry.snapshot[field];
+      if (FIXED_FIELDS.includes(field) || obj.get(field) instanceof Parse.Relation) return;
+      if (value && value.__type === 'Relation') return;
+      if (field in entry.snapshot) {
+        obj.set(field, Parse._decode(field, value));
+      } else {
+        obj.unset(field);
+      }
+    });
+
+    await obj.save(null, { ...options, context: { revertedToVersion: version } });
+
+    return {
+      success: true,
+      message: `Record reverted to version ${version}`,
+      objectId: obj.id,
+      data: await visibleRecord(request, obj),
+    };
+  } catch (error) {
+    throw cloudError('Failed to revert record', error);
+  }
+});
+
+module.exports = {
+  hasHistory,
+};
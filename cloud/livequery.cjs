@@ -0,0 +1,108 @@
+/**
+ * LiveQuery authentication and WebSocket transport
+ *
+ * Clients must connect with a valid session token (or the master key), and
+ * a subscription that carries its own session token must carry a valid one.
+ * Parse Server then checks every event against the ACLs and class-level
+ * permissions of the subscribing user. Event objects get the field policies
+ * of the connection's user applied, other users' records are not sent when
+ * users are private, and subscriptions cannot filter by fields their user
+ * cannot see in full. Each WebSocket session gets a request ID
+ * that every line logged while handling its messages carries.
+ */
+
+const { WebSocketServer } = require('ws');
+const { WSAdapter } = require('parse-server/lib/Adapters/WebSocketServer/WSAdapter');
+const { parseConfig } = require('./storage.cjs');
+const { logger, runWithContext, requestIdFor } = require('./logger.cjs');
+const { viewerOf, maskObject, isPrivateUser, assertQueryAllowed } = require('./visibility.cjs');
+
+/**
+ * WebSocket adapter that only accepts upgrades on `options.path`, so the
+ * LiveQuery server can share the HTTP server with other upgrade handlers.
+ */
+class PathWSAdapter extends WSAdapter {
+  start() {
+    this.wss = new WebSocketServer({ server: this.options.server, path: this.options.path });
+    this.wss.on('listening', this.onListen);
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.wss.on('error', this.onError);
+  }
+
+  handleConnection(ws, req) {
+    const requestId = requestIdFor(req);
+    const started = Date.now();
+    logger.info('WebSocket connected', { requestId, ip: req.socket.remoteAddress });
+    ws.on('close', (code) => {
+      logger.info('WebSocket closed', { requestId, code, durationMs: Date.now() - started });
+    });
+
+    this.onConnection(ws);
+    // Parse Server reads messages through onmessage; handle each one in the session's context
+    const onmessage = ws.onmessage;
+    ws.onmessage = (event) => runWithContext({ requestId }, () => onmessage(event));
+  }
+
+  close() {
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+}
+
+/**
+ * Connection and subscription counts of a LiveQuery server.
+ * @param {ParseLiveQueryServer} liveQueryServer - The server
+ * @returns {{ connections: number, subscriptions: number, classes: Object }} Subscriptions are counted per client request, also per class
+ */
+function liveQueryStats(liveQueryServer) {
+  const classes = {};
+  let subscriptions = 0;
+  liveQueryServer.subscriptions.forEach((classSubscriptions, className) => {
+    let count = 0;
+    classSubscriptions.forEach((subscription) => {
+      subscription.clientRequestIds.forEach((requestIds) => {
+        count += requestIds.length;
+      });
+    });
+    classes[className] = count;
+    subscriptions += count;
+  });
+  return { connections: liveQueryServer.clients.size, subscriptions, classes };
+}
+
+Parse.Cloud.beforeConnect((request) => {
+  if (!request.useMasterKey && !request.user) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'A valid session token is required');
+  }
+});
+
+// Subscriptions without a session token use the token of the connection, which beforeConnect checked
+const { classNames = [] } = parseConfig().liveQuery || {};
+classNames.forEach((className) => {
+  Parse.Cloud.beforeSubscribe(className, async (request) => {
+    if (request.sessionToken && !request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'A valid session token is required');
+    }
+    // Without its own session token the subscription is checked as anonymous
+    const { _where: where, _order: order } = request.query;
+    assertQueryAllowed(className, { where, order }, await viewerOf({ user: request.user }));
+  });
+
+  Parse.Cloud.afterLiveQueryEvent(className, async (request) => {
+    const viewer = await viewerOf({ master: request.useMasterKey, user: request.user });
+    if (isPrivateUser(className, request.object.id, viewer)) {
+      request.sendEvent = false;
+      return;
+    }
+    request.object = maskObject(request.object, viewer);
+    if (request.original) {
+      request.original = maskObject(request.original, viewer);
+    }
+  });
+});
+
+module.exports = {
+  PathWSAdapter,
+  liveQueryStats,
+};
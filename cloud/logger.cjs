@@ -0,0 +1,212 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line, errors on stderr and the rest on stdout:
+ *
+ *   {"time":"...","level":"error","msg":"Cloud function failed","requestId":"...","function":"updateRecord",...}
+ *
+ * Every HTTP request and WebSocket session gets a request ID, kept in an
+ * AsyncLocalStorage context, so each line logged while serving it carries
+ * the same ID. Passwords, session tokens, keys and secrets are redacted from
+ * logged fields.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REDACTED_KEYS = [
+  'password',
+  '_hashed_password',
+  'sessiontoken',
+  '_sessiontoken',
+  'masterkey',
+  '_masterkey',
+  'authdata',
+  'authorization',
+  'cookie',
+  'x-parse-master-key',
+  'x-parse-session-token',
+  'token',
+  'secret',
+];
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+let threshold = LEVELS.info;
+
+/**
+ * Set the lowest level that is written.
+ * @param {string} level - debug, info, warn or error
+ */
+function setLogLevel(level) {
+  threshold = LEVELS[level];
+}
+
+function isRedacted(key) {
+  return REDACTED_KEYS.includes(key.toLowerCase());
+}
+
+/**
+ * Copy of a value that is safe to log: sensitive keys are redacted at any
+ * depth and errors are reduced to their name, code, message, stack and cause.
+ */
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, code: value.code, message: value.message, stack: value.stack, cause: value.cause },
+      depth
+    );
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) return;
+    copy[key] = isRedacted(key) ? '[REDACTED]' : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...redact(fields) };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.error) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Run `fn` with `fields` added to every line it logs.
+ * @param {Object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} What `fn` returns
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Request ID for an incoming request: the caller's X-Request-Id when it is a
+ * plausible ID, a new UUID otherwise.
+ * @param {http.IncomingMessage} req - The request
+ * @returns {string} The ID
+ */
+function requestIdFor(req) {
+  const incoming = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+  return typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Express middleware that assigns the request ID, returns it in the
+ * X-Request-Id header and logs each request when it finishes. Mount it
+ * first.
+ * @returns {Function} The middleware
+ */
+function requestLogger() {
+  return (req, res, next) => {
+    const started = Date.now();
+    req.requestId = requestIdFor(req);
+    res.set(REQUEST_ID_HEADER, req.requestId);
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      write(level, 'Request finished', {
+        requestId: req.requestId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+    });
+    runWithContext({ requestId: req.requestId }, next);
+  };
+}
+
+/**
+ * Express middleware that restores the request context. Body parsers resume
+ * the request from stream events, outside of it; mount this after them.
+ * @returns {Function} The middleware
+ */
+function requestContext() {
+  return (req, res, next) => runWithContext({ requestId: req.requestId }, next);
+}
+
+/**
+ * Log every cloud function call, with the function name and user added to
+ * the context of everything it logs. Call before any function is defined.
+ */
+function logCloudFunctions() {
+  const define = Parse.Cloud.define.bind(Parse.Cloud);
+  Parse.Cloud.define = (name, handler, validator) =>
+    define(
+      name,
+      (request) =>
+        runWithContext({ function: name, userId: request.user ? request.user.id : undefined }, async () => {
+          const started = Date.now();
+          try {
+            const result = await handler(request);
+            write('info', 'Cloud function finished', { durationMs: Date.now() - started });
+            return result;
+          } catch (error) {
+            write('error', 'Cloud function failed', { durationMs: Date.now() - started, params: request.params, error });
+            throw error;
+          }
+        }),
+      validator
+    );
+}
+
+/**
+ * Error to throw from a cloud function when an operation fails. Keeps the
+ * Parse error code of `error` (SCRIPT_FAILED otherwise) and keeps `error` as
+ * the cause, so the log shows the original stack.
+ * @param {string} message - What failed, e.g. 'Failed to update record'
+ * @param {Error} error - The underlying error
+ * @returns {Parse.Error} The error
+ */
+function cloudError(message, error) {
+  const code = error instanceof Parse.Error ? error.code : Parse.Error.SCRIPT_FAILED;
+  const wrapped = new Parse.Error(code, `${message}: ${error.message}`);
+  wrapped.cause = error;
+  return wrapped;
+}
+
+module.exports = {
+  logger,
+  redact,
+  setLogLevel,
+  runWithContext,
+  requestIdFor,
+  requestLogger,
+  requestContext,
+  logCloudFunctions,
+  cloudError,
+};
@@ -3,41 +3,148 @@
  * Full CRUD operations for all users
  */
 
+const path = require('path');
+const { logger, logCloudFunctions, cloudError } = require('./logger.cjs');
+const { trackCloudJobs } = require('./shutdown.cjs');
+
+// Before any module below defines its functions and jobs
+logCloudFunctions();
+trackCloudJobs();
+
+const { requestOptions, buildACL } = require('./access.cjs');
+const { defineSchema } = require('./schema.cjs');
+const { buildQuery, compileFilters } = require('./query.cjs');
+const { cursorSort, applyCursor, encodeCursor } = require('./pagination.cjs');
+const {
+  selectionQuery,
+  missingResults,
+  saveChunk,
+  processInChunks,
+  summarize,
+  assertBatchSize,
+} = require('./bulk.cjs');
+const { upsertRecords } = require('./upsert.cjs');
+const { database, reloadSchema, filesDirectory } = require('./storage.cjs');
+const { createBackup, restoreBackup } = require('./backup.cjs');
+const { installTriggers } = require('./triggers.cjs');
+const { validateObject, validationFailure } = require('./validation.cjs');
+const { visibleRecord } = require('./visibility.cjs');
+const { recordAudit } = require('./audit.cjs');
+const { withoutTrashed, markDeleted, trashTable } = require('./trash.cjs');
+const { readiness, markCloudCodeLoaded } = require('./health.cjs');
+const { getConfig } = require('./config.cjs');
+
+require('./migrations.cjs');
+require('./transfer.cjs');
+require('./history.cjs');
+require('./livequery.cjs');
+require('./search.cjs');
+require('./aggregate.cjs');
+require('./webhooks.cjs');
+
 // ==================== TABLE MANAGEMENT ====================
 
 /**
  * Create a new table (class)
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class to create
- * @param {Object} request.params.schema - Initial schema for the class
+ * @param {Object} request.params.fields - Field spec, e.g. { title: { type: 'String', required: true } }
+ * @param {Object} request.params.indexes - Indexes, e.g. { title_1: { title: 1 } }
+ * @param {Object} request.params.classLevelPermissions - Class-level permissions
  */
-Parse.Cloud.define('createTable', async (request) => {
-  const { className, schema } = request.params;
+Parse.Cloud.define(
+  'createTable',
+  async (request) => {
+    const { className, fields, indexes, classLevelPermissions } = request.params;
 
-  if (!className) {
-    throw new Error('className is required');
-  }
+    if (!className) {
+      throw new Error('className is required');
+    }
 
-  try {
-    // Create a new object to initialize the class
-    const obj = new Parse.Object(className);
-    if (schema) {
-      Object.keys(schema).forEach((key) => {
-        obj.set(key, schema[key]);
+    try {
+      const schema = defineSchema(className, { fields, indexes, classLevelPermissions });
+      const result = await schema.save();
+      installTriggers(className);
+      await recordAudit(request, {
+        operation: 'createTable',
+        className,
+        diff: { fields: { after: result.fields }, indexes: { after: result.indexes } },
       });
+
+      return {
+        success: true,
+        message: `Table '${className}' created successfully`,
+        className: className,
+        fields: result.fields,
+        indexes: result.indexes,
+      };
+    } catch (error) {
+      throw cloudError('Failed to create table', error);
     }
-    obj.setACL(new Parse.ACL()); // Public ACL
-    await obj.save(null, { useMasterKey: true });
+  },
+  { requireMaster: true }
+);
 
-    return {
-      success: true,
-      message: `Table '${className}' created successfully`,
-      className: className,
-    };
-  } catch (error) {
-    throw new Error(`Failed to create table: ${error.message}`);
-  }
-});
+/**
+ * Alter an existing table (class)
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class to alter
+ * @param {Object} request.params.addFields - Fields to add, same format as createTable
+ * @param {string[]} request.params.deleteFields - Names of fields to remove
+ * @param {Object} request.params.addIndexes - Indexes to add
+ * @param {string[]} request.params.deleteIndexes - Names of indexes to remove
+ * @param {Object} request.params.classLevelPermissions - Replacement class-level permissions
+ */
+Parse.Cloud.define(
+  'alterTable',
+  async (request) => {
+    const {
+      className,
+      addFields: fieldsToAdd,
+      deleteFields = [],
+      addIndexes: indexesToAdd,
+      deleteIndexes = [],
+      classLevelPermissions,
+    } = request.params;
+
+    if (!className) {
+      throw new Error('className is required');
+    }
+
+    try {
+      const schema = defineSchema(className, {
+        fields: fieldsToAdd,
+        indexes: indexesToAdd,
+        classLevelPermissions,
+      });
+      deleteFields.forEach((name) => schema.deleteField(name));
+      deleteIndexes.forEach((name) => schema.deleteIndex(name));
+      const result = await schema.update();
+      await recordAudit(request, {
+        operation: 'alterTable',
+        className,
+        diff: {
+          addFields: { after: fieldsToAdd },
+          deleteFields: { before: deleteFields },
+          addIndexes: { after: indexesToAdd },
+          deleteIndexes: { before: deleteIndexes },
+          classLevelPermissions: { after: classLevelPermissions },
+        },
+      });
+
+      return {
+        success: true,
+        message: `Table '${className}' altered successfully`,
+        className: className,
+        fields: result.fields,
+        indexes: result.indexes,
+      };
+    } catch (error) {
+      throw cloudError('Failed to alter table', error);
+    }
+  },
+  { requireMaster: true }
+);
 
 /**
  * List all tables (classes)
@@ -56,7 +163,7 @@ Parse.Cloud.define('listTables', async (request) => {
       count: tables.length,
     };
   } catch (error) {
-    throw new Error(`Failed to list tables: ${error.message}`);
+    throw cloudError('Failed to list tables', error);
   }
 });
 
@@ -82,34 +189,41 @@ Parse.Cloud.define('getTableSchema', async (request) => {
       fields: schemaData.fields,
     };
   } catch (error) {
-    throw new Error(`Failed to get schema: ${error.message}`);
+    throw cloudError('Failed to get schema', error);
   }
 });
 
 /**
- * Delete a table (class)
+ * Delete a table (class). The table is moved to the trash and can be restored
+ * with restoreTable until the retention period purges it.
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class to delete
  */
-Parse.Cloud.define('deleteTable', async (request) => {
-  const { className } = request.params;
+Parse.Cloud.define(
+  'deleteTable',
+  async (request) => {
+    const { className } = request.params;
 
-  if (!className) {
-    throw new Error('className is required');
-  }
-
-  try {
-    const schema = new Parse.Schema(className);
-    await schema.purge();
+    if (!className) {
+      throw new Error('className is required');
+    }
 
-    return {
-      success: true,
-      message: `Table '${className}' deleted successfully`,
-    };
-  } catch (error) {
-    throw new Error(`Failed to delete table: ${error.message}`);
-  }
-});
+    try {
+      const { fields } = await new Parse.Schema(className).get();
+      const trashId = await trashTable(className, request);
+      await recordAudit(request, { operation: 'deleteTable', className, diff: { fields: { before: fields } } });
+
+      return {
+        success: true,
+        message: `Table '${className}' moved to trash`,
+        trashId: trashId,
+      };
+    } catch (error) {
+      throw cloudError('Failed to delete table', error);
+    }
+  },
+  { requireMaster: true }
+);
 
 // ==================== RECORD OPERATIONS ====================
 
@@ -118,9 +232,10 @@ Parse.Cloud.define('deleteTable', async (request) => {
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class
  * @param {Object} request.params.data - Data for the new record
+ * @param {Object} request.params.acl - Extra read/write users and roles (see buildACL)
  */
 Parse.Cloud.define('createRecord', async (request) => {
-  const { className, data } = request.params;
+  const { className, data, acl } = request.params;
 
   if (!className || !data) {
     throw new Error('className and data are required');
@@ -132,19 +247,24 @@ Parse.Cloud.define('createRecord', async (request) => {
       obj.set(key, data[key]);
     });
 
-    // Set public ACL
-    obj.setACL(new Parse.ACL());
+    // Owner-only unless the caller grants more
+    obj.setACL(buildACL(request, acl));
 
-    await obj.save(null, { useMasterKey: true });
+    const violations = validateObject(obj, true);
+    if (violations.length > 0) {
+      return validationFailure(violations);
+    }
+
+    await obj.save(null, requestOptions(request));
 
     return {
       success: true,
       message: 'Record created successfully',
       objectId: obj.id,
-      data: obj.toJSON(),
+      data: await visibleRecord(request, obj),
     };
   } catch (error) {
-    throw new Error(`Failed to create record: ${error.message}`);
+    throw cloudError('Failed to create record', error);
   }
 });
 
@@ -152,49 +272,67 @@ Parse.Cloud.define('createRecord', async (request) => {
  * Read records from a table
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class
- * @param {Object} request.params.filters - Query filters
+ * @param {Object} request.params.filters - Query filters in REST `where` syntax
+ * @param {string[]|Object} request.params.sort - Sort keys, e.g. ['-createdAt', 'title']
+ * @param {string[]} request.params.select - Keys to return
+ * @param {string[]} request.params.exclude - Keys to omit
+ * @param {string[]} request.params.include - Pointer fields to include
  * @param {number} request.params.limit - Limit number of results
- * @param {number} request.params.skip - Skip number of results
+ * @param {string} request.params.cursor - nextCursor from the previous page
+ * @param {number} request.params.skip - Skip number of results (prefer cursor)
  */
 Parse.Cloud.define('readTable', async (request) => {
-  const { className, filters = {}, limit = 100, skip = 0 } = request.params;
+  const {
+    className,
+    filters = {},
+    sort,
+    select,
+    exclude,
+    include,
+    limit = 100,
+    cursor,
+    skip = 0,
+  } = request.params;
 
   if (!className) {
     throw new Error('className is required');
   }
+  if (cursor && skip) {
+    throw new Error('cursor and skip cannot be combined');
+  }
+  if (limit > getConfig().maxQueryLimit) {
+    throw new Error(`limit must be at most ${getConfig().maxQueryLimit}`);
+  }
 
   try {
-    const query = new Parse.Query(className);
-
-    // Apply filters
-    Object.keys(filters).forEach((key) => {
-      const value = filters[key];
-      if (value && typeof value === 'object') {
-        // Handle complex operators
-        if (value.$gt !== undefined) query.greaterThan(key, value.$gt);
-        if (value.$lt !== undefined) query.lessThan(key, value.$lt);
-        if (value.$gte !== undefined) query.greaterThanOrEqualTo(key, value.$gte);
-        if (value.$lte !== undefined) query.lessThanOrEqualTo(key, value.$lte);
-        if (value.$ne !== undefined) query.notEqualTo(key, value.$ne);
-        if (value.$in !== undefined) query.containedIn(key, value.$in);
-      } else {
-        query.equalTo(key, value);
-      }
+    const pageSort = cursorSort(sort);
+    const sortFields = pageSort.map((key) => key.replace(/^-/, ''));
+    const query = buildQuery(className, {
+      filters: applyCursor(filters, pageSort, cursor),
+      sort: pageSort,
+      // The cursor is built from the sort fields, so they must be fetched
+      select: select && [...new Set([...select, ...sortFields])],
+      exclude: exclude && exclude.filter((key) => !sortFields.includes(key)),
+      include,
     });
 
+    withoutTrashed(query);
     query.limit(limit);
     query.skip(skip);
 
-    const results = await query.find({ useMasterKey: true });
+    const results = await query.find(requestOptions(request));
+    const nextCursor =
+      results.length === limit && limit > 0 ? encodeCursor(pageSort, results[results.length - 1]) : null;
 
     return {
       success: true,
       className: className,
       count: results.length,
       data: results.map((obj) => obj.toJSON()),
+      nextCursor: nextCursor,
     };
   } catch (error) {
-    throw new Error(`Failed to read records: ${error.message}`);
+    throw cloudError('Failed to read records', error);
   }
 });
 
@@ -204,37 +342,48 @@ Parse.Cloud.define('readTable', async (request) => {
  * @param {string} request.params.className - Name of the class
  * @param {string} request.params.objectId - ID of the record to update
  * @param {Object} request.params.data - Data to update
+ * @param {Object} request.params.acl - Replacement read/write users and roles (optional)
  */
 Parse.Cloud.define('updateRecord', async (request) => {
-  const { className, objectId, data } = request.params;
+  const { className, objectId, data, acl } = request.params;
 
   if (!className || !objectId || !data) {
     throw new Error('className, objectId, and data are required');
   }
 
   try {
-    const query = new Parse.Query(className);
-    const obj = await query.get(objectId, { useMasterKey: true });
+    const options = requestOptions(request);
+    const query = withoutTrashed(new Parse.Query(className));
+    const obj = await query.get(objectId, options);
 
     Object.keys(data).forEach((key) => {
       obj.set(key, data[key]);
     });
+    if (acl) {
+      obj.setACL(buildACL(request, acl));
+    }
+
+    const violations = validateObject(obj, false);
+    if (violations.length > 0) {
+      return validationFailure(violations);
+    }
 
-    await obj.save(null, { useMasterKey: true });
+    await obj.save(null, options);
 
     return {
       success: true,
       message: 'Record updated successfully',
       objectId: obj.id,
-      data: obj.toJSON(),
+      data: await visibleRecord(request, obj),
     };
   } catch (error) {
-    throw new Error(`Failed to update record: ${error.message}`);
+    throw cloudError('Failed to update record', error);
   }
 });
 
 /**
- * Delete a record
+ * Delete a record. The record is marked with `trash_deletedAt` and hidden, and
+ * can be restored with restoreRecord.
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class
  * @param {string} request.params.objectId - ID of the record to delete
@@ -247,9 +396,10 @@ Parse.Cloud.define('deleteRecord', async (request) => {
   }
 
   try {
-    const query = new Parse.Query(className);
-    const obj = await query.get(objectId, { useMasterKey: true });
-    await obj.destroy({ useMasterKey: true });
+    const options = requestOptions(request);
+    const query = withoutTrashed(new Parse.Query(className));
+    const obj = await query.get(objectId, options);
+    await markDeleted(obj).save(null, options);
 
     return {
       success: true,
@@ -257,7 +407,7 @@ Parse.Cloud.define('deleteRecord', async (request) => {
       objectId: objectId,
     };
   } catch (error) {
-    throw new Error(`Failed to delete record: ${error.message}`);
+    throw cloudError('Failed to delete record', error);
   }
 });
 
@@ -266,13 +416,15 @@ Parse.Cloud.define('deleteRecord', async (request) => {
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class
  * @param {Array} request.params.records - Array of records to create
+ * @param {Object} request.params.acl - Extra read/write users and roles applied to every record
  */
 Parse.Cloud.define('batchCreateRecords', async (request) => {
-  const { className, records } = request.params;
+  const { className, records, acl } = request.params;
 
   if (!className || !Array.isArray(records)) {
     throw new Error('className and records array are required');
   }
+  assertBatchSize('records', records.length);
 
   try {
     const objects = records.map((data) => {
@@ -280,11 +432,17 @@ Parse.Cloud.define('batchCreateRecords', async (request) => {
       Object.keys(data).forEach((key) => {
         obj.set(key, data[key]);
       });
-      obj.setACL(new Parse.ACL());
+      obj.setACL(buildACL(request, acl));
       return obj;
     });
 
-    await Parse.Object.saveAll(objects, { useMasterKey: true });
+    // Report every invalid record, not just the first one the batch stops at
+    const violations = objects.flatMap((obj, index) => validateObject(obj, true).map((error) => ({ index, ...error })));
+    if (violations.length > 0) {
+      return validationFailure(violations);
+    }
+
+    await Parse.Object.saveAll(objects, requestOptions(request));
 
     return {
       success: true,
@@ -293,7 +451,153 @@ Parse.Cloud.define('batchCreateRecords', async (request) => {
       objectIds: objects.map((obj) => obj.id),
     };
   } catch (error) {
-    throw new Error(`Failed to batch create records: ${error.message}`);
+    throw cloudError('Failed to batch create records', error);
+  }
+});
+
+/**
+ * Upsert records by natural key
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {Array} request.params.records - Records to insert or update
+ * @param {string|string[]} request.params.upsertOn - Key field(s) that identify an existing record
+ * @param {Object} request.params.acl - Extra read/write users and roles for inserted records
+ * @param {number} request.params.chunkSize - Records per round trip (default 100)
+ */
+Parse.Cloud.define('upsertRecords', async (request) => {
+  const { className, records, upsertOn, acl, chunkSize } = request.params;
+
+  if (!className || !Array.isArray(records) || !upsertOn) {
+    throw new Error('className, records array and upsertOn are required');
+  }
+
+  try {
+    const results = await upsertRecords(request, { className, records, upsertOn, acl, chunkSize });
+    const succeeded = results.filter((result) => result.success);
+    const inserted = succeeded.filter((result) => result.operation === 'insert').length;
+    const updated = succeeded.length - inserted;
+
+    return {
+      success: true,
+      message: `${inserted} records inserted, ${updated} updated`,
+      inserted: inserted,
+      updated: updated,
+      failed: results.length - succeeded.length,
+      results: results,
+    };
+  } catch (error) {
+    throw cloudError('Failed to upsert records', error);
+  }
+});
+
+/**
+ * Batch update records matched by a filter or a list of ids
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {Object} request.params.filters - Query filters, same syntax as readTable
+ * @param {string[]} request.params.objectIds - Explicit ids (instead of filters)
+ * @param {Object} request.params.data - Data to set on every matched record
+ * @param {number} request.params.chunkSize - Records per saveAll call (default 100)
+ * @param {boolean} request.params.dryRun - Only report how many records match
+ */
+Parse.Cloud.define('batchUpdateRecords', async (request) => {
+  const { className, filters, objectIds, data, chunkSize, dryRun = false } = request.params;
+
+  if (!className || !data) {
+    throw new Error('className and data are required');
+  }
+
+  try {
+    const options = requestOptions(request);
+    const query = withoutTrashed(selectionQuery(className, { filters, objectIds }));
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        matched: await query.count(options),
+      };
+    }
+
+    const seen = new Set();
+    const results = await processInChunks(
+      query,
+      (objects) => {
+        objects.forEach((obj) => {
+          seen.add(obj.id);
+          Object.keys(data).forEach((key) => {
+            obj.set(key, data[key]);
+          });
+        });
+        return saveChunk(objects, options);
+      },
+      options,
+      chunkSize
+    );
+    const summary = summarize([...results, ...missingResults(objectIds, seen)]);
+
+    return {
+      success: true,
+      message: `${summary.succeeded} records updated, ${summary.failed} failed`,
+      matched: seen.size,
+      ...summary,
+    };
+  } catch (error) {
+    throw cloudError('Failed to batch update records', error);
+  }
+});
+
+/**
+ * Batch delete (move to trash) records matched by a filter or a list of ids
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {Object} request.params.filters - Query filters, same syntax as readTable
+ * @param {string[]} request.params.objectIds - Explicit ids (instead of filters)
+ * @param {number} request.params.chunkSize - Records per saveAll call (default 100)
+ * @param {boolean} request.params.dryRun - Only report how many records match
+ */
+Parse.Cloud.define('batchDeleteRecords', async (request) => {
+  const { className, filters, objectIds, chunkSize, dryRun = false } = request.params;
+
+  if (!className) {
+    throw new Error('className is required');
+  }
+
+  try {
+    const options = requestOptions(request);
+    const query = withoutTrashed(selectionQuery(className, { filters, objectIds }));
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        matched: await query.count(options),
+      };
+    }
+
+    const seen = new Set();
+    const results = await processInChunks(
+      query,
+      (objects) => {
+        objects.forEach((obj) => {
+          seen.add(obj.id);
+          markDeleted(obj);
+        });
+        return saveChunk(objects, options);
+      },
+      options,
+      chunkSize
+    );
+    const summary = summarize([...results, ...missingResults(objectIds, seen)]);
+
+    return {
+      success: true,
+      message: `${summary.succeeded} records deleted, ${summary.failed} failed`,
+      matched: seen.size,
+      ...summary,
+    };
+  } catch (error) {
+    throw cloudError('Failed to batch delete records', error);
   }
 });
 
@@ -301,7 +605,7 @@ Parse.Cloud.define('batchCreateRecords', async (request) => {
  * Count records
  * @param {Object} request - The request object
  * @param {string} request.params.className - Name of the class
- * @param {Object} request.params.filters - Query filters
+ * @param {Object} request.params.filters - Query filters in REST `where` syntax
  */
 Parse.Cloud.define('countRecords', async (request) => {
   const { className, filters = {} } = request.params;
@@ -311,24 +615,9 @@ Parse.Cloud.define('countRecords', async (request) => {
   }
 
   try {
-    const query = new Parse.Query(className);
-
-    // Apply filters
-    Object.keys(filters).forEach((key) => {
-      const value = filters[key];
-      if (value && typeof value === 'object') {
-        if (value.$gt !== undefined) query.greaterThan(key, value.$gt);
-        if (value.$lt !== undefined) query.lessThan(key, value.$lt);
-        if (value.$gte !== undefined) query.greaterThanOrEqualTo(key, value.$gte);
-        if (value.$lte !== undefined) query.lessThanOrEqualTo(key, value.$lte);
-        if (value.$ne !== undefined) query.notEqualTo(key, value.$ne);
-        if (value.$in !== undefined) query.containedIn(key, value.$in);
-      } else {
-        query.equalTo(key, value);
-      }
-    });
+    const query = withoutTrashed(compileFilters(className, filters));
 
-    const count = await query.count({ useMasterKey: true });
+    const count = await query.count(requestOptions(request));
 
     return {
       success: true,
@@ -336,8 +625,62 @@ Parse.Cloud.define('countRecords', async (request) => {
       count: count,
     };
   } catch (error) {
-    throw new Error(`Failed to count records: ${error.message}`);
+    throw cloudError('Failed to count records', error);
+  }
+});
+
+// ==================== BACKUP JOBS ====================
+
+const BACKUP_DIR = getConfig().backupDir;
+
+/**
+ * Back up all class schemas, indexes, documents and stored files
+ * @param {Object} request - The job request
+ * @param {string[]} request.params.classes - Only back up these classes (default: all)
+ * @param {boolean} request.params.includeFiles - Include stored files (default true)
+ */
+Parse.Cloud.job('backupDatabase', async (request) => {
+  const { classes, includeFiles = true } = request.params;
+  const output = path.join(BACKUP_DIR, `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+
+  request.message(`Writing ${output}`);
+  const { db, prefix } = await database();
+  const stats = await createBackup(db, {
+    output,
+    prefix,
+    classes,
+    filesDir: includeFiles ? filesDirectory() : null,
+  });
+
+  return `Backed up ${stats.collections} collections, ${stats.documents} documents and ${stats.files} files to ${path.basename(output)}`;
+});
+
+/**
+ * Restore a backup archive into an empty database
+ * @param {Object} request - The job request
+ * @param {string} request.params.archive - File name of the archive in the backup directory
+ * @param {string[]} request.params.classes - Only restore these classes (default: all)
+ * @param {boolean} request.params.includeFiles - Restore stored files (default: only for a full restore)
+ */
+Parse.Cloud.job('restoreDatabase', async (request) => {
+  const { archive, classes, includeFiles = !classes } = request.params;
+
+  if (!archive) {
+    throw new Error('archive is required');
   }
+
+  const input = path.join(BACKUP_DIR, path.basename(archive));
+  request.message(`Restoring ${input}`);
+  const { db, prefix } = await database();
+  const stats = await restoreBackup(db, {
+    input,
+    prefix,
+    classes,
+    filesDir: includeFiles ? filesDirectory() : null,
+  });
+  await reloadSchema();
+
+  return `Restored ${stats.collections} collections, ${stats.documents} documents and ${stats.files} files from ${path.basename(input)}`;
 });
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -360,14 +703,18 @@ Parse.Cloud.define('getServerInfo', async (request) => {
 });
 
 /**
- * Health check
+ * Health check: database, files adapter, LiveQuery and cloud code (see GET /health/ready)
  */
 Parse.Cloud.define('healthCheck', async (request) => {
+  const { status, timestamp, checks } = await readiness();
+
   return {
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
+    success: status === 'ok',
+    status: status === 'ok' ? 'healthy' : 'unhealthy',
+    timestamp: timestamp,
+    checks: checks,
   };
 });
 
-console.log('✅ Cloud functions loaded successfully');
+markCloudCodeLoaded();
+logger.info('Cloud functions loaded');
@@ -0,0 +1,207 @@
+/**
+ * Prometheus metrics
+ *
+ * HTTP request counts and latencies per route and status, cloud function
+ * calls, errors and durations, LiveQuery connections and subscriptions, and
+ * the default Node process metrics, served in the Prometheus text format.
+ */
+
+const client = require('prom-client');
+const { getFunction } = require('parse-server/lib/triggers');
+const { liveQueryStats } = require('./livequery.cjs');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const functionCalls = new client.Counter({
+  name: 'parse_cloud_function_calls_total',
+  help: 'Cloud function calls by function',
+  labelNames: ['function'],
+  registers: [registry],
+});
+
+const functionErrors = new client.Counter({
+  name: 'parse_cloud_function_errors_total',
+  help: 'Cloud function calls that failed, by function',
+  labelNames: ['function'],
+  registers: [registry],
+});
+
+const functionDuration = new client.Histogram({
+  name: 'parse_cloud_function_duration_seconds',
+  help: 'Cloud function duration by function',
+  labelNames: ['function'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+// Parse Server resources reported by name; any other path under the mount is
+// reported as `<mount>/unknown`, since the first segment comes from the client
+const PARSE_RESOURCES = [
+  'aggregate',
+  'batch',
+  'classes',
+  'config',
+  'events',
+  'files',
+  'functions',
+  'health',
+  'hooks',
+  'installations',
+  'jobs',
+  'login',
+  'logout',
+  'purge',
+  'push',
+  'requestPasswordReset',
+  'roles',
+  'schemas',
+  'serverInfo',
+  'sessions',
+  'upgradeToRevocableSession',
+  'users',
+  'verificationEmailRequest',
+];
+
+// Deepest path below a resource that is still reported; deeper paths are unknown
+const MAX_ROUTE_PARAMS = 2;
+
+/**
+ * Route label of a request. Paths are reduced to templates over a fixed set
+ * of resources, so that ids and unknown URLs do not create new series.
+ */
+function routeLabel(req, parseMount) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  const path = req.originalUrl.split('?')[0];
+  if (path.startsWith(`${parseMount}/`)) {
+    const [resource, ...rest] = path.slice(parseMount.length + 1).split('/');
+    if (!PARSE_RESOURCES.includes(resource) || rest.length > MAX_ROUTE_PARAMS) {
+      return `${parseMount}/unknown`;
+    }
+    if (resource === 'classes' && rest.length > 0) {
+      return [parseMount, resource, ':className', ...rest.slice(1).map(() => ':objectId')].join('/');
+    }
+    if ((resource === 'functions' || resource === 'jobs') && rest.length > 0) {
+      return `${parseMount}/${resource}/:name`;
+    }
+    return [parseMount, resource, ...rest.map(() => ':id')].join('/');
+  }
+  return 'unmatched';
+}
+
+/**
+ * Name of the cloud function a request calls, or 'unknown' for names that
+ * are not defined.
+ */
+function functionName(req, parseMount) {
+  const match = new RegExp(`^${parseMount}/functions/([^/?]+)`).exec(req.originalUrl);
+  if (!match) {
+    return null;
+  }
+  return getFunction(match[1], Parse.applicationId) ? match[1] : 'unknown';
+}
+
+/**
+ * Express middleware that records HTTP and cloud function metrics.
+ * @param {Object} options - Middleware options
+ * @param {string} options.parseMount - Path Parse Server is mounted on
+ * @param {string[]} [options.prefixes] - Other mount paths reported as one route each
+ * @returns {Function} The middleware
+ */
+function metricsMiddleware({ parseMount, prefixes = [] }) {
+  return (req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+      const prefix = prefixes.find((mount) => req.originalUrl.startsWith(mount));
+      const labels = {
+        method: req.method,
+        route: prefix || routeLabel(req, parseMount),
+        status: res.statusCode,
+      };
+      const seconds = endTimer(labels);
+      httpRequests.inc(labels);
+
+      const name = functionName(req, parseMount);
+      if (name) {
+        functionCalls.inc({ function: name });
+        functionDuration.observe({ function: name }, seconds);
+        if (res.statusCode >= 400) {
+          functionErrors.inc({ function: name });
+        }
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Report the connection and subscription counts of a LiveQuery server.
+ * @param {ParseLiveQueryServer} liveQueryServer - The server
+ */
+function trackLiveQuery(liveQueryServer) {
+  new client.Gauge({
+    name: 'parse_live_query_connections',
+    help: 'Open LiveQuery connections',
+    registers: [registry],
+    collect() {
+      this.set(liveQueryStats(liveQueryServer).connections);
+    },
+  });
+  new client.Gauge({
+    name: 'parse_live_query_subscriptions',
+    help: 'LiveQuery subscriptions by class',
+    labelNames: ['class'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      Object.entries(liveQueryStats(liveQueryServer).classes).forEach(([className, count]) => {
+        this.set({ class: className }, count);
+      });
+    },
+  });
+}
+
+/**
+ * Express handler for the metrics endpoint.
+ * @param {Object} options - Handler options
+ * @param {string} [options.token] - Bearer token required to read metrics; open when unset
+ * @returns {Function} The handler
+ */
+function metricsHandler({ token }) {
+  return async (req, res) => {
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  };
+}
+
+module.exports = {
+  routeLabel,
+  metricsMiddleware,
+  metricsHandler,
+  trackLiveQuery,
+};
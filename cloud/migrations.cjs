@@ -0,0 +1,198 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in /migrations as ordered modules (0001-name.cjs, ...)
+ * exporting async up() and down() functions. Applied migrations are recorded
+ * in the internal `_Migration` class so every database converges on the same
+ * schema. Instances starting together take turns through a lock document, so
+ * a migration never runs twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { systemCollection } = require('./storage.cjs');
+const { logger, cloudError } = require('./logger.cjs');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_CLASS = '_Migration';
+const LOCK_CLASS = '_MigrationLock';
+// A lock left behind by a crashed instance is taken over after this long
+const LOCK_LEASE_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 1000;
+
+/**
+ * Load all migration modules in order.
+ * @returns {Array<{name: string, up: Function, down: Function}>} The migrations
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+-.+\.c?js$/.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration '${file}' must export up() and down()`);
+      }
+      return { name: path.basename(file, path.extname(file)), ...migration };
+    });
+}
+
+/**
+ * List the migrations recorded as applied, oldest first.
+ * @returns {Promise<Array<{_id: string, appliedAt: Date}>>} Applied migrations
+ */
+async function appliedMigrations() {
+  const collection = await systemCollection(MIGRATION_CLASS);
+  return collection.find({}).sort({ _id: 1 }).toArray();
+}
+
+/**
+ * Run a function while holding the migration lock, waiting for other
+ * instances to release it first.
+ * @param {Function} fn - async () => {}
+ * @returns {Promise<*>} The result of fn
+ */
+async function withMigrationLock(fn) {
+  const locks = await systemCollection(LOCK_CLASS);
+  const owner = crypto.randomUUID();
+  for (;;) {
+    const now = new Date();
+    try {
+      // Matches only a free or expired lock; otherwise the upsert collides with the held one
+      await locks.updateOne(
+        { _id: 'lock', expiresAt: { $lt: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_LEASE_MS) } },
+        { upsert: true }
+      );
+      break;
+    } catch (error) {
+      // 11000: duplicate key
+      if (error.code !== 11000) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await locks.deleteOne({ _id: 'lock', owner });
+  }
+}
+
+/**
+ * Apply every migration that has not been applied yet, in order.
+ * Stops at the first failure so later migrations never run on a partial schema.
+ * @returns {Promise<string[]>} Names of the migrations that were applied
+ */
+async function applyPendingMigrations() {
+  const collection = await systemCollection(MIGRATION_CLASS);
+  return withMigrationLock(async () => {
+    const applied = new Set((await appliedMigrations()).map((doc) => doc._id));
+    const pending = loadMigrations().filter((migration) => !applied.has(migration.name));
+    const names = [];
+
+    for (const migration of pending) {
+      await migration.up();
+      await collection.insertOne({ _id: migration.name, appliedAt: new Date() });
+      names.push(migration.name);
+      logger.info('Migration applied', { migration: migration.name });
+    }
+
+    return names;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations.
+ * @param {number} [steps=1] - Number of migrations to roll back
+ * @returns {Promise<string[]>} Names of the migrations that were rolled back
+ */
+async function rollbackMigrations(steps = 1) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('steps must be a positive integer');
+  }
+  const collection = await systemCollection(MIGRATION_CLASS);
+  const migrations = new Map(loadMigrations().map((migration) => [migration.name, migration]));
+  return withMigrationLock(async () => {
+    const applied = (await appliedMigrations()).reverse().slice(0, steps);
+    const names = [];
+
+    for (const { _id: name } of applied) {
+      const migration = migrations.get(name);
+      if (!migration) {
+        throw new Error(`Migration '${name}' is applied but its module is missing`);
+      }
+      await migration.down();
+      await collection.deleteOne({ _id: name });
+      names.push(name);
+      logger.info('Migration rolled back', { migration: name });
+    }
+
+    return names;
+  });
+}
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * Apply pending migrations
+ */
+Parse.Cloud.define(
+  'runMigrations',
+  async () => {
+    try {
+      const applied = await applyPendingMigrations();
+
+      return {
+        success: true,
+        message: `${applied.length} migrations applied`,
+        applied: applied,
+      };
+    } catch (error) {
+      throw cloudError('Failed to run migrations', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Roll back applied migrations
+ * @param {Object} request - The request object
+ * @param {number} request.params.steps - Number of migrations to roll back (default 1)
+ */
+Parse.Cloud.define(
+  'rollbackMigration',
+  async (request) => {
+    const { steps = 1 } = request.params;
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+
+    try {
+      const rolledBack = await rollbackMigrations(steps);
+
+      return {
+        success: true,
+        message: `${rolledBack.length} migrations rolled back`,
+        rolledBack: rolledBack,
+      };
+    } catch (error) {
+      throw cloudError('Failed to roll back migration', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+module.exports = {
+  loadMigrations,
+  appliedMigrations,
+  applyPendingMigrations,
+  rollbackMigrations,
+};
@@ -0,0 +1,107 @@
+/**
+ * Keyset (cursor) pagination for readTable
+ *
+ * A cursor records the sort keys and the sort values of the last row of a
+ * page, with objectId as a tie-breaker. The next page starts strictly after
+ * that row, so pages stay stable while rows are inserted or deleted.
+ * Sort keys should be fields that every row has; rows missing a sort key are
+ * skipped once a cursor is used.
+ */
+
+const { normalizeSort } = require('./query.cjs');
+
+/**
+ * Normalize sort keys and append objectId as a tie-breaker.
+ * @param {string[]|Object} [sort] - Sort keys as accepted by readTable
+ * @returns {string[]} Sort keys, e.g. ['-createdAt', 'objectId']
+ */
+function cursorSort(sort) {
+  const keys = normalizeSort(sort)
+    .filter(([key]) => key !== 'objectId')
+    .map(([key, direction]) => (direction === 'descending' ? `-${key}` : key));
+  return [...keys, 'objectId'];
+}
+
+function sortValue(obj, key) {
+  if (key === 'objectId') return obj.id;
+  if (key === 'createdAt') return obj.createdAt;
+  if (key === 'updatedAt') return obj.updatedAt;
+  return obj.get(key);
+}
+
+function encodeValue(value) {
+  if (value instanceof Date) {
+    return { __type: 'Date', iso: value.toISOString() };
+  }
+  if (value instanceof Parse.Object) {
+    return value.toPointer();
+  }
+  return value;
+}
+
+/**
+ * Build the opaque cursor that points after a row.
+ * @param {string[]} sort - Sort keys from cursorSort
+ * @param {Parse.Object} obj - The last row of the page
+ * @returns {string} The cursor
+ */
+function encodeCursor(sort, obj) {
+  const values = sort.map((key) => encodeValue(sortValue(obj, key.replace(/^-/, ''))));
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check that it was issued for the same sort order.
+ * @param {string[]} sort - Sort keys from cursorSort
+ * @param {string} cursor - The cursor
+ * @returns {Array} The sort values of the row the cursor points after
+ */
+function decodeCursor(sort, cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('cursor is malformed');
+  }
+  if (!decoded || !Array.isArray(decoded.values) || decoded.values.length !== sort.length) {
+    throw new Error('cursor is malformed');
+  }
+  if (JSON.stringify(decoded.sort) !== JSON.stringify(sort)) {
+    throw new Error('cursor was issued for a different sort order');
+  }
+  return decoded.values;
+}
+
+/**
+ * Add the keyset condition for a cursor to a filter object.
+ * For sort keys k1..kn the next page is every row where
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ * @param {Object} filters - Filter object
+ * @param {string[]} sort - Sort keys from cursorSort
+ * @param {string} [cursor] - The cursor
+ * @returns {Object} The filters to query with
+ */
+function applyCursor(filters, sort, cursor) {
+  if (!cursor) {
+    return filters;
+  }
+  const values = decodeCursor(sort, cursor);
+  const clauses = sort.map((sortKey, index) => {
+    const clause = {};
+    sort.slice(0, index).forEach((previous, i) => {
+      clause[previous.replace(/^-/, '')] = values[i];
+    });
+    const key = sortKey.replace(/^-/, '');
+    clause[key] = { [sortKey.startsWith('-') ? '$lt' : '$gt']: values[index] };
+    return clause;
+  });
+
+  return { ...filters, $and: [...(filters.$and || []), { $or: clauses }] };
+}
+
+module.exports = {
+  cursorSort,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+};
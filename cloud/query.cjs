@@ -0,0 +1,192 @@
+/**
+ * Filter compiler shared by the read functions
+ *
+ * Filters use the Parse REST `where` syntax:
+ *   { title: 'Hello', views: { $gte: 10 }, $or: [{ draft: true }, { author: {...pointer} }] }
+ */
+
+const FIELD_OPERATORS = {
+  $gt: (query, key, value) => query.greaterThan(key, decodeValue(value)),
+  $lt: (query, key, value) => query.lessThan(key, decodeValue(value)),
+  $gte: (query, key, value) => query.greaterThanOrEqualTo(key, decodeValue(value)),
+  $lte: (query, key, value) => query.lessThanOrEqualTo(key, decodeValue(value)),
+  $ne: (query, key, value) => query.notEqualTo(key, decodeValue(value)),
+  $in: (query, key, value) => query.containedIn(key, decodeArray(key, '$in', value)),
+  $nin: (query, key, value) => query.notContainedIn(key, decodeArray(key, '$nin', value)),
+  $all: (query, key, value) => query.containsAll(key, decodeArray(key, '$all', value)),
+  $exists: (query, key, value) => (value ? query.exists(key) : query.doesNotExist(key)),
+  $regex: (query, key, value, condition) => query.matches(key, value, condition.$options),
+  $options: (query, key, value, condition) => {
+    if (condition.$regex === undefined) {
+      throw new Error(`$options on '${key}' requires $regex`);
+    }
+  },
+};
+
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor'];
+
+/**
+ * Decode REST-encoded values (pointers and dates) into SDK values.
+ * @param {*} value - The encoded value
+ * @returns {*} The decoded value
+ */
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (value.__type === 'Pointer') {
+      return Parse.Object.extend(value.className).createWithoutData(value.objectId);
+    }
+    if (value.__type === 'Date') {
+      return new Date(value.iso);
+    }
+  }
+  return value;
+}
+
+function decodeArray(key, operator, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${operator} on '${key}' expects an array`);
+  }
+  return value.map(decodeValue);
+}
+
+function isCondition(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !value.__type &&
+    Object.keys(value).some((key) => key.startsWith('$'))
+  );
+}
+
+/**
+ * Create the base query, scoped to a relation when the filter has $relatedTo.
+ * @param {string} className - Name of the class
+ * @param {Object} [relatedTo] - { object: pointer, key: relationField }
+ * @returns {Parse.Query} The base query
+ */
+function baseQuery(className, relatedTo) {
+  if (!relatedTo) {
+    return new Parse.Query(className);
+  }
+  const { object, key } = relatedTo;
+  if (!object || object.__type !== 'Pointer' || !key) {
+    throw new Error('$relatedTo expects { object: <pointer>, key: <relation field> }');
+  }
+  const relation = decodeValue(object).relation(key);
+  relation.targetClassName = className;
+  return relation.query();
+}
+
+/**
+ * Compile a filter object into a Parse.Query.
+ * @param {string} className - Name of the class
+ * @param {Object} [filters] - Filter object in REST `where` syntax
+ * @returns {Parse.Query} The compiled query
+ */
+function compileFilters(className, filters = {}) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('filters must be an object');
+  }
+
+  const query = baseQuery(className, filters.$relatedTo);
+  const logical = [];
+
+  Object.keys(filters).forEach((key) => {
+    const value = filters[key];
+
+    if (key === '$relatedTo') {
+      return;
+    }
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} expects a non-empty array of filters`);
+      }
+      logical.push([key, value.map((subfilter) => compileFilters(className, subfilter))]);
+      return;
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unsupported filter operator '${key}'`);
+    }
+
+    if (!isCondition(value)) {
+      query.equalTo(key, decodeValue(value));
+      return;
+    }
+    Object.keys(value).forEach((operator) => {
+      const apply = FIELD_OPERATORS[operator];
+      if (!apply) {
+        throw new Error(`Unsupported filter operator '${operator}' on '${key}'`);
+      }
+      apply(query, key, value[operator], value);
+    });
+  });
+
+  if (logical.length === 0) {
+    return query;
+  }
+  // Keep logical operators next to $relatedTo at the top level, where Parse Server resolves relations
+  const json = query.toJSON();
+  logical.forEach(([operator, subqueries]) => {
+    json.where[operator] = subqueries.map((subquery) => subquery.toJSON().where);
+  });
+  return query.withJSON(json);
+}
+
+/**
+ * Normalize sort keys into [key, direction] pairs.
+ * @param {string[]|Object} [sort] - ['-createdAt', 'title'] or { createdAt: 'descending', title: 'ascending' }
+ * @returns {Array<[string, string]>} The sort keys in order
+ */
+function normalizeSort(sort = []) {
+  const keys = Array.isArray(sort)
+    ? sort.map((key) => (key.startsWith('-') ? [key.slice(1), 'descending'] : [key, 'ascending']))
+    : Object.keys(sort).map((key) => [key, sort[key]]);
+
+  keys.forEach(([key, direction]) => {
+    if (direction !== 'ascending' && direction !== 'descending') {
+      throw new Error(`Sort direction for '${key}' must be 'ascending' or 'descending'`);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Apply sort keys to a query.
+ * @param {Parse.Query} query - The query
+ * @param {string[]|Object} sort - See normalizeSort
+ */
+function applySort(query, sort) {
+  normalizeSort(sort).forEach(([key, direction]) => {
+    if (direction === 'ascending') query.addAscending(key);
+    else query.addDescending(key);
+  });
+}
+
+/**
+ * Build a query from readTable-style parameters.
+ * @param {string} className - Name of the class
+ * @param {Object} params - Query parameters
+ * @param {Object} [params.filters] - Filter object
+ * @param {string[]|Object} [params.sort] - Sort keys
+ * @param {string[]} [params.select] - Keys to return
+ * @param {string[]} [params.exclude] - Keys to omit
+ * @param {string[]} [params.include] - Pointer fields to include
+ * @returns {Parse.Query} The query
+ */
+function buildQuery(className, { filters, sort, select, exclude, include } = {}) {
+  const query = compileFilters(className, filters);
+  if (sort) applySort(query, sort);
+  if (select) query.select(...select);
+  if (exclude) query.exclude(...exclude);
+  if (include) query.include(...include);
+  return query;
+}
+
+module.exports = {
+  decodeValue,
+  compileFilters,
+  normalizeSort,
+  applySort,
+  buildQuery,
+};
@@ -0,0 +1,295 @@
+/**
+ * Rate limiting and request caps
+ *
+ * A rule counts requests to a route prefix or to cloud functions, per client
+ * key, in fixed windows:
+ *
+ *   { route: '/parse', key: 'ip', limit: 600, windowMs: 60000 }
+ *   { function: ['readTable'], key: 'user', limit: 300, windowMs: 60000 }
+ *
+ * Keys are the client IP, the user of the session (falling back to the IP) or
+ * the client key the request was made with. Requests with the master key are never
+ * limited. Counters live in a store; MemoryStore counts per process,
+ * RedisStore shares counts between instances. Any object with the same
+ * `increment` method can be used as a store.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('./logger.cjs');
+const { parseConfig } = require('./storage.cjs');
+
+const SESSION_CACHE_MS = 60 * 1000;
+const SESSION_CACHE_SIZE = 10000;
+
+/**
+ * Counters in process memory.
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count a request.
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{ count: number, resetAt: number }>} Requests in the current window and when it ends
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) this.windows.delete(key);
+    });
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+/**
+ * Counters in Redis, shared by every instance.
+ */
+class RedisStore {
+  /**
+   * @param {string} url - Redis connection URL
+   */
+  constructor(url) {
+    const { createClient } = require('redis');
+    this.client = createClient({ url });
+    this.client.on('error', (error) => logger.error('Rate limit store error', { error }));
+    this.ready = this.client.connect();
+  }
+
+  async increment(key, windowMs) {
+    await this.ready;
+    const [count, , ttl] = await this.client
+      .multi()
+      .incr(`ratelimit:${key}`)
+      .pExpire(`ratelimit:${key}`, windowMs, 'NX')
+      .pTTL(`ratelimit:${key}`)
+      .exec();
+    return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  async close() {
+    await this.ready;
+    await this.client.quit();
+  }
+}
+
+/**
+ * Express middleware for the Parse Server path. Parse Server reads JSON
+ * bodies of any content type, and the JS SDK sends them as text/plain with
+ * the keys inside; parse them here the same way, so the limiter can see the
+ * keys. File uploads are left alone.
+ * @param {string} limit - Most bytes in a body
+ * @returns {Function} The middleware
+ */
+function parseTextBody(limit) {
+  const readText = express.text({ type: 'text/plain', limit });
+  return (req, res, next) => {
+    if (req.path.startsWith('/files')) {
+      next();
+      return;
+    }
+    readText(req, res, (error) => {
+      if (error) {
+        next(error);
+        return;
+      }
+      if (typeof req.body === 'string') {
+        try {
+          req.body = req.body ? JSON.parse(req.body) : {};
+        } catch (parseError) {
+          res.status(400).json({ code: Parse.Error.INVALID_JSON, error: 'invalid JSON' });
+          return;
+        }
+      }
+      next();
+    });
+  };
+}
+
+function bodyField(req, name) {
+  return req.body && typeof req.body === 'object' ? req.body[name] : undefined;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// User ids by session token hash, so that the 'user' key does not cost a lookup per request
+const sessionUsers = new Map();
+
+/**
+ * Id of the user a session token belongs to, or null when the session is
+ * unknown or expired. Results are cached for SESSION_CACHE_MS.
+ * @param {string} sessionToken - The session token
+ * @returns {Promise<string|null>} The user id
+ */
+async function sessionUserId(sessionToken) {
+  const tokenHash = hash(sessionToken);
+  const cached = sessionUsers.get(tokenHash);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.userId;
+  }
+
+  const [session] = await parseConfig().database.find('_Session', { sessionToken }, { limit: 1 });
+  const valid = session && session.user && !(session.expiresAt && new Date(session.expiresAt.iso) <= new Date());
+  const userId = valid ? session.user.objectId : null;
+
+  // Drop the oldest entry rather than grow without bound on random tokens
+  sessionUsers.delete(tokenHash);
+  if (sessionUsers.size >= SESSION_CACHE_SIZE) {
+    sessionUsers.delete(sessionUsers.keys().next().value);
+  }
+  sessionUsers.set(tokenHash, { userId, expiresAt: Date.now() + SESSION_CACHE_MS });
+  return userId;
+}
+
+async function clientKey(req, key) {
+  if (key === 'user') {
+    // Every session of a user shares one counter; unknown tokens count against the IP
+    const sessionToken = req.get('X-Parse-Session-Token') || bodyField(req, '_SessionToken');
+    const userId = sessionToken ? await sessionUserId(sessionToken) : null;
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  }
+  if (key === 'appKey') {
+    const appKey =
+      req.get('X-Parse-Client-Key') ||
+      req.get('X-Parse-Javascript-Key') ||
+      req.get('X-Parse-REST-API-Key') ||
+      bodyField(req, '_ClientKey') ||
+      bodyField(req, '_JavaScriptKey') ||
+      req.get('X-Parse-Application-Id') ||
+      bodyField(req, '_ApplicationId') ||
+      'none';
+    return `app:${hash(appKey)}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Name of the cloud function a request calls, or null.
+ */
+function functionName(req, mount) {
+  const match = new RegExp(`^${mount}/functions/([^/]+)`).exec(req.path);
+  return match ? match[1] : null;
+}
+
+/**
+ * Counter scope of a rule for a request, or null when the rule does not apply.
+ */
+function ruleScope(rule, req, mount) {
+  if (rule.route) {
+    return req.path.startsWith(rule.route) ? rule.route : null;
+  }
+  const name = functionName(req, mount);
+  return name && [].concat(rule.function).includes(name) ? `function:${name}` : null;
+}
+
+function tooManyRequests(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    code: Parse.Error.CONNECTION_FAILED,
+    error: `Too many requests, retry in ${retryAfter} seconds`,
+  });
+}
+
+/**
+ * Express middleware that enforces the rate limits, the batch size cap of
+ * the REST batch endpoint and the query limit cap. Mount it after
+ * parseTextBody.
+ * @param {Object} options - Middleware options
+ * @param {string} options.mount - Path Parse Server is mounted on
+ * @param {string} options.masterKey - Requests with this master key are not limited
+ * @param {Object[]} options.rules - Rate limit rules
+ * @param {Object} options.store - Counter store
+ * @param {number} options.maxBatchSize - Most requests in one batch call
+ * @param {number} options.maxQueryLimit - Largest `limit` a query may ask for
+ * @returns {Function} The middleware
+ */
+function rateLimitMiddleware({ mount, masterKey, rules, store, maxBatchSize, maxQueryLimit }) {
+  return async (req, res, next) => {
+    if ((req.get('X-Parse-Master-Key') || bodyField(req, '_MasterKey')) === masterKey) {
+      next();
+      return;
+    }
+
+    if (req.path === `${mount}/batch` && Array.isArray(bodyField(req, 'requests'))) {
+      if (req.body.requests.length > maxBatchSize) {
+        res.status(400).json({
+          code: Parse.Error.INVALID_JSON,
+          error: `A batch may have at most ${maxBatchSize} requests`,
+        });
+        return;
+      }
+    }
+
+    if (req.path.startsWith(mount)) {
+      const limit = Number(req.query.limit !== undefined ? req.query.limit : bodyField(req, 'limit'));
+      if (limit > maxQueryLimit) {
+        res.status(400).json({
+          code: Parse.Error.INVALID_QUERY,
+          error: `limit must be at most ${maxQueryLimit}`,
+        });
+        return;
+      }
+    }
+
+    try {
+      let retryAfter = 0;
+      for (const [index, rule] of rules.entries()) {
+        const scope = ruleScope(rule, req, mount);
+        if (!scope) continue;
+        const { count, resetAt } = await store.increment(
+          `${index}:${scope}:${await clientKey(req, rule.key)}`,
+          rule.windowMs
+        );
+        if (count > rule.limit) {
+          retryAfter = Math.max(retryAfter, Math.ceil((resetAt - Date.now()) / 1000), 1);
+        }
+      }
+      if (retryAfter > 0) {
+        tooManyRequests(res, retryAfter);
+        return;
+      }
+    } catch (error) {
+      // A broken store must not take the API down with it
+      logger.error('Rate limit check failed', { error });
+    }
+    next();
+  };
+}
+
+/**
+ * Create the counter store named in the configuration.
+ * @param {Object} config - The configuration
+ * @returns {MemoryStore|RedisStore} The store
+ */
+function createStore({ rateLimitStore, redisUrl }) {
+  return rateLimitStore === 'redis' ? new RedisStore(redisUrl) : new MemoryStore();
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore,
+  parseTextBody,
+  rateLimitMiddleware,
+};
@@ -0,0 +1,77 @@
+/**
+ * Helpers for declaring class schemas through Parse.Schema
+ */
+
+const FIELD_TYPES = [
+  'String',
+  'Number',
+  'Boolean',
+  'Date',
+  'File',
+  'GeoPoint',
+  'Polygon',
+  'Array',
+  'Object',
+  'Pointer',
+  'Relation',
+];
+
+/**
+ * Add typed fields to a schema.
+ * @param {Parse.Schema} schema - The schema to modify
+ * @param {Object} fields - Field spec, e.g. { title: { type: 'String', required: true } }
+ * @returns {Parse.Schema} The same schema
+ */
+function addFields(schema, fields = {}) {
+  Object.keys(fields).forEach((name) => {
+    const spec = typeof fields[name] === 'string' ? { type: fields[name] } : fields[name];
+    if (!spec || !FIELD_TYPES.includes(spec.type)) {
+      throw new Error(`Field '${name}' has an invalid type; expected one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if ((spec.type === 'Pointer' || spec.type === 'Relation') && !spec.targetClass) {
+      throw new Error(`Field '${name}' of type ${spec.type} requires a targetClass`);
+    }
+    const { type, ...options } = spec;
+    schema.addField(name, type, options);
+  });
+  return schema;
+}
+
+/**
+ * Add indexes to a schema.
+ * @param {Parse.Schema} schema - The schema to modify
+ * @param {Object} indexes - Index spec, e.g. { title_1: { title: 1 } }
+ * @returns {Parse.Schema} The same schema
+ */
+function addIndexes(schema, indexes = {}) {
+  Object.keys(indexes).forEach((name) => {
+    schema.addIndex(name, indexes[name]);
+  });
+  return schema;
+}
+
+/**
+ * Build a Parse.Schema for a class from a declarative definition.
+ * @param {string} className - Name of the class
+ * @param {Object} definition - The definition
+ * @param {Object} [definition.fields] - Fields to add
+ * @param {Object} [definition.indexes] - Indexes to add
+ * @param {Object} [definition.classLevelPermissions] - CLPs to set
+ * @returns {Parse.Schema} The schema, ready to save()
+ */
+function defineSchema(className, { fields, indexes, classLevelPermissions } = {}) {
+  const schema = new Parse.Schema(className);
+  addFields(schema, fields);
+  addIndexes(schema, indexes);
+  if (classLevelPermissions) {
+    schema.setCLP(classLevelPermissions);
+  }
+  return schema;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  addFields,
+  addIndexes,
+  defineSchema,
+};
@@ -0,0 +1,303 @@
+/**
+ * Full-text search
+ *
+ * A class is searchable once createSearchIndex has given it a MongoDB text
+ * index; the fields of that index are the fields searched. Search text uses
+ * the MongoDB syntax: records match any of the words (stemmed), a "quoted
+ * phrase" must appear as written, and -word or -"phrase" excludes records
+ * that contain it.
+ */
+
+const { requestOptions } = require('./access.cjs');
+const { compileFilters } = require('./query.cjs');
+const { database, syncIndexes } = require('./storage.cjs');
+const { withoutTrashed } = require('./trash.cjs');
+const { recordAudit } = require('./audit.cjs');
+const { cloudError } = require('./logger.cjs');
+const { getConfig } = require('./config.cjs');
+
+const SEARCH_INDEX = 'search_text';
+// MongoDB reads a per-record language from this field; keep it clear of user fields
+const LANGUAGE_FIELD = '_searchLanguage';
+const DEFAULT_SNIPPET_LENGTH = 160;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Split search text into the phrases and words that records must match.
+ * Negated terms only exclude records, so they are not returned.
+ * @param {string} text - Search text
+ * @returns {{ phrases: string[], words: string[] }} The positive terms
+ */
+function parseSearch(text) {
+  const phrases = [];
+  const words = [];
+  const pattern = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[2] !== undefined) {
+      if (!match[1]) phrases.push(match[2].trim());
+    } else if (!match[3]) {
+      words.push(match[4]);
+    }
+  }
+  return { phrases, words };
+}
+
+/**
+ * Pattern that finds the terms in a text. Words also match longer words
+ * they start, which approximates MongoDB's stemming.
+ */
+function highlightPattern({ phrases, words }, caseSensitive) {
+  const alternatives = [
+    ...phrases.map((phrase) => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    ...words.map((word) => `${escapeRegExp(word)}[\\p{L}\\p{N}]*`),
+  ].sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * HTML snippet of `text` around its first match, with matches in <mark>.
+ * @returns {string|null} The snippet, or null when nothing matches
+ */
+function snippet(text, pattern, length) {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+  const end = Math.min(text.length, Math.max(0, first.index - Math.floor((length - first[0].length) / 2)) + length);
+  const start = Math.max(0, end - length);
+  const excerpt = text.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Fields of the text index of a class, and every stored field.
+ * @param {string} className - Name of the class
+ * @returns {Promise<{ searched: string[], stored: string[] }>} The field names
+ */
+async function searchFields(className) {
+  const { fields, indexes = {} } = await new Parse.Schema(className).get();
+  const textIndex = Object.values(indexes).find((index) => Object.values(index).includes('text'));
+  if (!textIndex) {
+    throw new Error(`Class '${className}' has no search index; create one with createSearchIndex`);
+  }
+  return {
+    searched: Object.keys(textIndex).filter((field) => textIndex[field] === 'text'),
+    stored: Object.keys(fields).filter((field) => fields[field].type !== 'Relation'),
+  };
+}
+
+function encodeSearchCursor(search, offset) {
+  return Buffer.from(JSON.stringify({ search, offset })).toString('base64url');
+}
+
+function decodeSearchCursor(search, cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || decoded.search !== search || !Number.isInteger(decoded.offset) || decoded.offset < 0) {
+    throw new Error('cursor does not belong to this search');
+  }
+  return decoded.offset;
+}
+
+/**
+ * Run a search on one class, best matches first.
+ * @returns {Promise<Object[]>} { className, score, highlights, record } per match
+ */
+async function searchClass(className, { search, terms, filters, select, textOptions, snippetLength, skip, limit }, options) {
+  const { searched, stored } = await searchFields(className);
+  const query = withoutTrashed(compileFilters(className, filters));
+  query.fullText(searched[0], search, textOptions);
+  query.ascending('$score');
+  query.addAscending('objectId');
+  // Selecting the score limits the result to selected keys, so select the rest explicitly
+  query.select(...new Set([...(select || stored), ...searched]), '$score');
+  query.skip(skip);
+  query.limit(limit);
+
+  const pattern = highlightPattern(terms, textOptions.caseSensitive);
+  const results = await query.find(options);
+  return results.map((obj) => {
+    const highlights = {};
+    searched.forEach((field) => {
+      const value = obj.get(field);
+      const html = typeof value === 'string' ? snippet(value, pattern, snippetLength) : null;
+      if (html) highlights[field] = html;
+    });
+    const record = obj.toJSON();
+    delete record.score;
+    return { className, score: obj.get('score'), highlights, record };
+  });
+}
+
+/**
+ * Search records by text, best matches first
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Class to search
+ * @param {string[]} request.params.classNames - Classes to search, instead of className
+ * @param {string} request.params.search - Search text, e.g. 'parse "live query" -deprecated'
+ * @param {Object} request.params.filters - Query filters in REST `where` syntax, applied to every class
+ * @param {string[]} request.params.select - Keys to return (the searched fields are always returned)
+ * @param {string} request.params.language - Language for stemming and stop words (default: the index language)
+ * @param {boolean} request.params.caseSensitive - Match case
+ * @param {boolean} request.params.diacriticSensitive - Match diacritics
+ * @param {number} request.params.snippetLength - Characters per highlighted snippet
+ * @param {number} request.params.limit - Limit number of results
+ * @param {string} request.params.cursor - nextCursor from the previous page
+ * @param {number} request.params.skip - Skip number of results (instead of cursor)
+ */
+Parse.Cloud.define('searchRecords', async (request) => {
+  const {
+    className,
+    classNames = className ? [className] : [],
+    search,
+    filters = {},
+    select,
+    language,
+    caseSensitive,
+    diacriticSensitive,
+    snippetLength = DEFAULT_SNIPPET_LENGTH,
+    limit = 20,
+    cursor,
+    skip = 0,
+  } = request.params;
+
+  if (!Array.isArray(classNames) || classNames.length === 0) {
+    throw new Error('className or classNames is required');
+  }
+  if (typeof search !== 'string' || !search.trim()) {
+    throw new Error('search is required');
+  }
+  const terms = parseSearch(search);
+  if (terms.phrases.length === 0 && terms.words.length === 0) {
+    throw new Error('search needs at least one word or phrase that is not negated');
+  }
+  if (cursor && skip) {
+    throw new Error('cursor and skip cannot be combined');
+  }
+  const offset = cursor ? decodeSearchCursor(search, cursor) : skip;
+  if (offset + limit > getConfig().maxQueryLimit) {
+    throw new Error(`skip plus limit must be at most ${getConfig().maxQueryLimit}`);
+  }
+
+  const textOptions = {};
+  if (language !== undefined) textOptions.language = language;
+  if (caseSensitive !== undefined) textOptions.caseSensitive = caseSensitive;
+  if (diacriticSensitive !== undefined) textOptions.diacriticSensitive = diacriticSensitive;
+
+  try {
+    const params = { search, terms, filters, select, textOptions, snippetLength };
+    let data;
+    if (classNames.length === 1) {
+      data = await searchClass(classNames[0], { ...params, skip: offset, limit }, requestOptions(request));
+    } else {
+      // Merge the best matches of each class by score
+      const perClass = await Promise.all(
+        classNames.map((name) => searchClass(name, { ...params, skip: 0, limit: offset + limit }, requestOptions(request)))
+      );
+      data = perClass
+        .flat()
+        .sort((a, b) => b.score - a.score)
+        .slice(offset, offset + limit);
+    }
+
+    return {
+      success: true,
+      search: search,
+      count: data.length,
+      data: data,
+      nextCursor: data.length === limit && limit > 0 ? encodeSearchCursor(search, offset + limit) : null,
+    };
+  } catch (error) {
+    throw cloudError('Failed to search records', error);
+  }
+});
+
+/**
+ * Create or replace the search index of a class (master key required)
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {string[]|Object} request.params.fields - String fields to search, or { field: weight }
+ * @param {string} request.params.language - Default language for stemming and stop words (default: english)
+ */
+Parse.Cloud.define(
+  'createSearchIndex',
+  async (request) => {
+    const { className, fields, language = 'english' } = request.params;
+
+    if (!className || !fields) {
+      throw new Error('className and fields are required');
+    }
+    const weights = Array.isArray(fields) ? Object.fromEntries(fields.map((field) => [field, 1])) : fields;
+    const fieldNames = Object.keys(weights);
+    if (fieldNames.length === 0) {
+      throw new Error('fields must name at least one field');
+    }
+
+    try {
+      const schema = await new Parse.Schema(className).get();
+      fieldNames.forEach((field) => {
+        if (!schema.fields[field] || schema.fields[field].type !== 'String') {
+          throw new Error(`'${field}' is not a String field of ${className}`);
+        }
+        if (!Number.isInteger(weights[field]) || weights[field] < 1) {
+          throw new Error(`Weight of '${field}' must be a positive integer`);
+        }
+      });
+
+      // MongoDB allows one text index per collection
+      const { db, prefix } = await database();
+      const collection = db.collection(`${prefix}${className}`);
+      const existing = (await collection.indexes()).find((index) => index.key._fts === 'text');
+      if (existing) {
+        await collection.dropIndex(existing.name);
+      }
+      await collection.createIndex(Object.fromEntries(fieldNames.map((field) => [field, 'text'])), {
+        name: SEARCH_INDEX,
+        weights,
+        default_language: language,
+        language_override: LANGUAGE_FIELD,
+      });
+      await syncIndexes(className);
+      await recordAudit(request, {
+        operation: 'createSearchIndex',
+        className,
+        diff: { searchIndex: { before: existing ? existing.weights : undefined, after: weights } },
+      });
+
+      return {
+        success: true,
+        message: `Search index on ${className} created successfully`,
+        className: className,
+        index: SEARCH_INDEX,
+        fields: weights,
+        language: language,
+      };
+    } catch (error) {
+      throw cloudError('Failed to create search index', error);
+    }
+  },
+  { requireMaster: true }
+);
@@ -0,0 +1,151 @@
+/**
+ * Graceful shutdown
+ *
+ * On SIGTERM the server stops accepting connections and fails readiness,
+ * waits up to SHUTDOWN_TIMEOUT_MS for in-flight requests and cloud jobs,
+ * closes WebSocket clients with 1001 (going away), then closes Parse Server
+ * and its database connections.
+ */
+
+const { logger } = require('./logger.cjs');
+
+const GOING_AWAY = 1001;
+const DRAIN_POLL_MS = 100;
+
+const state = {
+  shuttingDown: false,
+  requests: 0,
+  jobs: new Set(),
+};
+
+/**
+ * Whether shutdown has started.
+ * @returns {boolean} True once shutdown has started
+ */
+function isShuttingDown() {
+  return state.shuttingDown;
+}
+
+/**
+ * Express middleware that counts in-flight requests. Requests that arrive on
+ * an open connection during shutdown are served, and the connection closed.
+ * @returns {Function} The middleware
+ */
+function trackRequests() {
+  return (req, res, next) => {
+    state.requests++;
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      state.requests--;
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    if (state.shuttingDown) {
+      res.set('Connection', 'close');
+    }
+    next();
+  };
+}
+
+/**
+ * Keep shutdown waiting until `promise` settles.
+ * @param {Promise} promise - Background work
+ * @returns {Promise} The same promise
+ */
+function trackJob(promise) {
+  state.jobs.add(promise);
+  const untrack = () => state.jobs.delete(promise);
+  promise.then(untrack, untrack);
+  return promise;
+}
+
+/**
+ * Track every cloud job run. Call before any job is defined.
+ */
+function trackCloudJobs() {
+  const job = Parse.Cloud.job.bind(Parse.Cloud);
+  Parse.Cloud.job = (name, handler) => job(name, (request) => trackJob(Promise.resolve().then(() => handler(request))));
+}
+
+/**
+ * Wait until no request or job is in flight.
+ * @param {http.Server} httpServer - Server whose idle connections are closed meanwhile
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<boolean>} False when the timeout was reached first
+ */
+function drain(httpServer, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      // Node 18.2+; older versions close idle keep-alive connections after keepAliveTimeout
+      if (typeof httpServer.closeIdleConnections === 'function') {
+        httpServer.closeIdleConnections();
+      }
+      if (state.requests === 0 && state.jobs.size === 0) {
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        resolve(false);
+      } else {
+        setTimeout(check, DRAIN_POLL_MS);
+      }
+    };
+    check();
+  });
+}
+
+function closeLiveQuery(liveQueryServer) {
+  const transport = liveQueryServer.parseWebSocketServer;
+  const { wss } = transport.server;
+  if (wss) {
+    wss.clients.forEach((ws) => ws.close(GOING_AWAY, 'Server shutting down'));
+  }
+  transport.close();
+}
+
+/**
+ * Shut the server down. Runs once; later calls resolve immediately.
+ * @param {Object} options - Shutdown options
+ * @param {string} options.signal - Signal that started the shutdown
+ * @param {http.Server} options.httpServer - The HTTP server
+ * @param {ParseLiveQueryServer} options.liveQueryServer - The LiveQuery server
+ * @param {ParseServer} options.parseServer - The Parse Server
+ * @param {number} options.timeoutMs - Longest wait for in-flight work
+ * @param {Function[]} [options.closers] - Other resources to close, last
+ */
+async function gracefulShutdown({ signal, httpServer, liveQueryServer, parseServer, timeoutMs, closers = [] }) {
+  if (state.shuttingDown) {
+    return;
+  }
+  state.shuttingDown = true;
+  logger.info('Shutting down', { signal, requests: state.requests, jobs: state.jobs.size });
+
+  httpServer.close();
+  if (!(await drain(httpServer, timeoutMs))) {
+    logger.warn('Shutdown timeout reached, closing in-flight work', {
+      timeoutMs,
+      requests: state.requests,
+      jobs: state.jobs.size,
+    });
+  }
+
+  closeLiveQuery(liveQueryServer);
+  // Node 18.2+; on older versions the remaining connections end when the process exits
+  if (typeof httpServer.closeAllConnections === 'function') {
+    httpServer.closeAllConnections();
+  }
+  await parseServer.handleShutdown();
+  for (const close of closers) {
+    await close();
+  }
+  logger.info('Shutdown complete');
+}
+
+module.exports = {
+  isShuttingDown,
+  trackRequests,
+  trackJob,
+  trackCloudJobs,
+  gracefulShutdown,
+};
@@ -0,0 +1,208 @@
+/**
+ * Access to the storage behind Parse Server: internal bookkeeping
+ * collections, indexes and the configured files adapter
+ *
+ * Parse refuses class names that start with an underscore unless they are
+ * built-in system classes, so bookkeeping classes such as `_Migration` are
+ * kept as plain collections next to the Parse data and are never exposed
+ * through the REST API.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Config = require('parse-server/lib/Config');
+const { transformKey } = require('parse-server/lib/Adapters/Storage/Mongo/MongoTransform');
+
+function parseConfig() {
+  const config = Config.get(Parse.applicationId);
+  if (!config) {
+    throw new Error('Parse Server is not initialized');
+  }
+  return config;
+}
+
+function databaseController() {
+  return parseConfig().database;
+}
+
+/**
+ * Get the raw MongoDB collection for an internal class.
+ * @param {string} className - Name of the internal class, e.g. '_Migration'
+ * @returns {Promise<Collection>} The MongoDB collection
+ */
+async function systemCollection(className) {
+  const { adapter } = databaseController();
+  await adapter.connect();
+  return adapter.database.collection(`${adapter._collectionPrefix || ''}${className}`);
+}
+
+const uniqueIndexes = new Set();
+
+function uniqueIndexKey(className, fieldNames) {
+  return `${className}:${[...fieldNames].sort().join(',')}`;
+}
+
+/**
+ * Ensure a sparse unique index over fields of a Parse class, creating the
+ * class first if it does not exist yet. Rows missing the fields are not
+ * constrained. Callers must hold the master key: this changes the schema.
+ * @param {string} className - Name of the class
+ * @param {string[]} fieldNames - Fields that are unique together
+ */
+async function ensureUniqueIndex(className, fieldNames) {
+  const key = uniqueIndexKey(className, fieldNames);
+  if (uniqueIndexes.has(key)) {
+    return;
+  }
+
+  const database = databaseController();
+  let schemaController = await database.loadSchema();
+  if (!(await schemaController.hasClass(className))) {
+    // Another request may create the class at the same time; getOneSchema below fails if neither did
+    await schemaController.addClassIfNotExists(className).catch(() => {});
+    schemaController = await database.loadSchema({ clearCache: true });
+  }
+  const schema = await schemaController.getOneSchema(className);
+  try {
+    await database.adapter.ensureUniqueness(className, schema, fieldNames);
+  } catch (error) {
+    if (error.code === Parse.Error.DUPLICATE_VALUE) {
+      throw new Parse.Error(
+        Parse.Error.DUPLICATE_VALUE,
+        `Cannot make ${fieldNames.join(', ')} unique in '${className}': some rows share the same values. Remove the duplicates first`
+      );
+    }
+    throw error;
+  }
+  uniqueIndexes.add(key);
+}
+
+/**
+ * Whether a unique index over exactly these fields of a class exists.
+ * @param {string} className - Name of the class
+ * @param {string[]} fieldNames - Fields that are unique together
+ * @returns {Promise<boolean>} True when the index exists
+ */
+async function hasUniqueIndex(className, fieldNames) {
+  const key = uniqueIndexKey(className, fieldNames);
+  if (uniqueIndexes.has(key)) {
+    return true;
+  }
+
+  const schemaController = await databaseController().loadSchema();
+  if (!(await schemaController.hasClass(className))) {
+    return false;
+  }
+  const schema = await schemaController.getOneSchema(className);
+  const wanted = fieldNames.map((name) => transformKey(className, name, schema)).sort();
+  const { db, prefix } = await database();
+  const indexes = await db
+    .collection(`${prefix}${className}`)
+    .indexes()
+    .catch(() => []);
+  const found = indexes.some(
+    (index) => index.unique && JSON.stringify(Object.keys(index.key).sort()) === JSON.stringify(wanted)
+  );
+  if (found) {
+    uniqueIndexes.add(key);
+  }
+  return found;
+}
+
+/**
+ * Get the MongoDB database behind Parse Server.
+ * @returns {Promise<{ db: Db, prefix: string }>} The database and the collection prefix
+ */
+async function database() {
+  const { adapter } = databaseController();
+  await adapter.connect();
+  return { db: adapter.database, prefix: adapter._collectionPrefix || '' };
+}
+
+/**
+ * Drop cached schemas, e.g. after collections were written directly.
+ */
+async function reloadSchema() {
+  await databaseController().loadSchema({ clearCache: true });
+}
+
+/**
+ * Record the indexes a class has in MongoDB in its Parse schema, e.g. after
+ * creating an index directly.
+ * @param {string} className - Name of the class
+ */
+async function syncIndexes(className) {
+  await databaseController().adapter.setIndexesFromMongo(className);
+  await reloadSchema();
+}
+
+/**
+ * Get the directory the files adapter stores files in, if it stores them locally.
+ * @returns {string|null} The directory
+ */
+function filesDirectory() {
+  const { adapter } = parseConfig().filesController;
+  return typeof adapter._getApplicationDir === 'function' ? adapter._getApplicationDir() : null;
+}
+
+/**
+ * Whether the files adapter stores plain files on local disk, so they can be
+ * streamed instead of buffered.
+ */
+function isLocalFilesAdapter(adapter) {
+  return typeof adapter._getLocalFilePath === 'function' && !adapter._encryptionKey;
+}
+
+/**
+ * Store a stream as a Parse File through the configured files adapter.
+ * Local files are streamed straight to disk; other adapters receive a buffer.
+ * @param {string} name - File name; a random prefix is added like Parse.File does
+ * @param {Readable} readable - The file contents
+ * @param {string} contentType - MIME type of the contents
+ * @returns {Promise<Object>} The file as { __type: 'File', name, url }
+ */
+async function createFileFromStream(name, readable, contentType) {
+  const config = parseConfig();
+  const { adapter } = config.filesController;
+  const filename = `${crypto.randomBytes(16).toString('hex')}_${name}`;
+
+  if (isLocalFilesAdapter(adapter)) {
+    await pipeline(readable, fs.createWriteStream(adapter._getLocalFilePath(filename)));
+  } else {
+    const chunks = [];
+    for await (const chunk of readable) {
+      chunks.push(Buffer.from(chunk));
+    }
+    await adapter.createFile(filename, Buffer.concat(chunks), contentType);
+  }
+
+  return { __type: 'File', name: filename, url: adapter.getFileLocation(config, filename) };
+}
+
+/**
+ * Open a stored Parse File for reading.
+ * @param {string} filename - Name of the stored file
+ * @returns {Promise<Readable>} The file contents
+ */
+async function openFileStream(filename) {
+  const { adapter } = parseConfig().filesController;
+  if (isLocalFilesAdapter(adapter)) {
+    return fs.createReadStream(adapter._getLocalFilePath(filename));
+  }
+  return Readable.from([await adapter.getFileData(filename)]);
+}
+
+module.exports = {
+  parseConfig,
+  systemCollection,
+  database,
+  reloadSchema,
+  syncIndexes,
+  filesDirectory,
+  ensureUniqueIndex,
+  hasUniqueIndex,
+  createFileFromStream,
+  openFileStream,
+};
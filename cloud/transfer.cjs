@@ -0,0 +1,470 @@
+/**
+ * CSV and NDJSON import/export for tables
+ *
+ * Exports read the table in objectId order, one page at a time, and are
+ * streamed into a Parse File or an HTTP response. Imports stream a stored
+ * file, coerce each row to the class schema and save rows in chunks.
+ */
+
+const { Readable } = require('stream');
+const readline = require('readline');
+const { requestOptions, buildACL } = require('./access.cjs');
+const { compileFilters } = require('./query.cjs');
+const { saveChunk, assertBatchSize, DEFAULT_CHUNK_SIZE } = require('./bulk.cjs');
+const { createFileFromStream, openFileStream } = require('./storage.cjs');
+const { withoutTrashed } = require('./trash.cjs');
+const { cloudError } = require('./logger.cjs');
+
+const FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+// Columns written by exports that imports ignore, so an export can be re-imported
+const IGNORED_FIELDS = ['objectId', 'createdAt', 'updatedAt', 'ACL'];
+
+const EXPORT_PAGE_SIZE = 500;
+
+function assertFormat(format) {
+  if (!FORMATS[format]) {
+    throw new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+}
+
+// ==================== EXPORT ====================
+
+function columnValue(obj, column) {
+  if (column === 'objectId') return obj.id;
+  if (column === 'createdAt') return obj.createdAt;
+  if (column === 'updatedAt') return obj.updatedAt;
+  return obj.get(column);
+}
+
+// Files are exported by name, the form importTable reads back; URLs depend on the server
+function fileReference(file) {
+  return { __type: 'File', name: file.name() };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof Parse.Object) text = value.id;
+  else if (value instanceof Parse.File) text = JSON.stringify(fileReference(value));
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\n`;
+}
+
+/**
+ * List the columns of a class for export, skipping ACLs and relations.
+ * @param {string} className - Name of the class
+ * @returns {Promise<string[]>} Column names
+ */
+async function exportColumns(className) {
+  const { fields } = await new Parse.Schema(className).get();
+  return Object.keys(fields).filter((name) => name !== 'ACL' && fields[name].type !== 'Relation');
+}
+
+/**
+ * Iterate every row matched by a query in objectId order.
+ * @param {Parse.Query} query - The query
+ * @param {Object} options - Query options
+ */
+async function* iterateRows(query, options) {
+  let lastId = null;
+  for (;;) {
+    const page = Parse.Query.fromJSON(query.className, query.toJSON());
+    page.ascending('objectId');
+    page.limit(EXPORT_PAGE_SIZE);
+    if (lastId) page.greaterThan('objectId', lastId);
+
+    const rows = await page.find(options);
+    yield* rows;
+    if (rows.length < EXPORT_PAGE_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+function ndjsonRecord(obj) {
+  const json = obj.toJSON();
+  Object.keys(json).forEach((name) => {
+    if (json[name] && json[name].__type === 'File') json[name] = { __type: 'File', name: json[name].name };
+  });
+  return json;
+}
+
+async function* exportLines(query, format, columns, options) {
+  if (format === 'csv') {
+    yield csvLine(columns);
+  }
+  for await (const obj of iterateRows(query, options)) {
+    yield format === 'csv'
+      ? csvLine(columns.map((column) => columnValue(obj, column)))
+      : `${JSON.stringify(ndjsonRecord(obj))}\n`;
+  }
+}
+
+/**
+ * Stream a filtered table as CSV or NDJSON.
+ * @param {string} className - Name of the class
+ * @param {Object} params - Export parameters
+ * @param {string} [params.format] - 'csv' or 'ndjson'
+ * @param {Object} [params.filters] - Filter object, same syntax as readTable
+ * @param {string[]} [params.fields] - Columns to export (default: all)
+ * @param {Object} options - Query options
+ * @returns {Promise<Readable>} The export stream
+ */
+async function exportStream(className, { format = 'csv', filters, fields }, options) {
+  assertFormat(format);
+  const columns = fields || (await exportColumns(className));
+  const query = withoutTrashed(compileFilters(className, filters));
+  if (fields) {
+    query.select(...fields);
+  }
+  return Readable.from(exportLines(query, format, columns, options));
+}
+
+// ==================== IMPORT ====================
+
+/**
+ * Parse CSV text into records, allowing quoted fields with commas, quotes and
+ * line breaks.
+ * @param {Readable} readable - CSV contents
+ * @yields {{ line: number, values: string[] }} Each record with its starting line number
+ */
+async function* parseCsv(readable) {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let afterQuote = false;
+  let line = 1;
+  let rowLine = 1;
+
+  readable.setEncoding('utf8');
+  for await (const text of readable) {
+    for (const char of text) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+      if (char === '"' && (afterQuote || field === '')) {
+        if (afterQuote) field += '"';
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') yield { line: rowLine, values: row };
+        row = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else if (char !== '\r') {
+        field += char;
+      }
+      afterQuote = false;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    yield { line: rowLine, values: row };
+  }
+}
+
+/**
+ * Read records from a CSV or NDJSON stream.
+ * @yields {{ line: number, record?: Object, error?: string }} Each record or a parse error
+ */
+async function* readRecords(readable, format) {
+  if (format === 'ndjson') {
+    let line = 0;
+    for await (const text of readline.createInterface({ input: readable, crlfDelay: Infinity })) {
+      line++;
+      if (!text.trim()) continue;
+      try {
+        yield { line, record: JSON.parse(text) };
+      } catch (error) {
+        yield { line, error: `Invalid JSON: ${error.message}` };
+      }
+    }
+    return;
+  }
+
+  let header = null;
+  for await (const { line, values } of parseCsv(readable)) {
+    if (!header) {
+      header = values;
+      continue;
+    }
+    if (values.length !== header.length) {
+      yield { line, error: `Expected ${header.length} columns, found ${values.length}` };
+      continue;
+    }
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = values[index];
+    });
+    yield { line, record };
+  }
+}
+
+const BOOLEAN_VALUES = { true: true, 1: true, yes: true, false: false, 0: false, no: false };
+
+/**
+ * Coerce an imported value to the schema type of its field.
+ * CSV values arrive as strings; NDJSON values may already be typed.
+ * @param {*} value - The imported value
+ * @param {Object} field - Schema field definition
+ * @returns {*} The value to set
+ */
+function coerceValue(value, field) {
+  const parseJSON = (text) => (typeof text === 'string' ? JSON.parse(text) : text);
+
+  switch (field.type) {
+    case 'String':
+      return String(value);
+    case 'Number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) throw new Error(`'${value}' is not a number`);
+      return number;
+    }
+    case 'Boolean': {
+      const key = String(value).toLowerCase();
+      if (!(key in BOOLEAN_VALUES)) throw new Error(`'${value}' is not a boolean`);
+      return BOOLEAN_VALUES[key];
+    }
+    case 'Date': {
+      const date = new Date(value && value.__type === 'Date' ? value.iso : value);
+      if (Number.isNaN(date.getTime())) throw new Error(`'${value}' is not a date`);
+      return date;
+    }
+    case 'Pointer': {
+      const pointer = typeof value === 'string' ? { className: field.targetClass, objectId: value } : value;
+      if (!pointer || pointer.className !== field.targetClass || !pointer.objectId) {
+        throw new Error(`expected an objectId of ${field.targetClass}`);
+      }
+      return Parse.Object.extend(field.targetClass).createWithoutData(pointer.objectId);
+    }
+    case 'Array': {
+      const array = parseJSON(value);
+      if (!Array.isArray(array)) throw new Error('expected a JSON array');
+      return array;
+    }
+    case 'Object': {
+      const object = parseJSON(value);
+      if (!object || typeof object !== 'object' || Array.isArray(object)) throw new Error('expected a JSON object');
+      return object;
+    }
+    case 'GeoPoint': {
+      const point = parseJSON(value);
+      return new Parse.GeoPoint(point.latitude, point.longitude);
+    }
+    case 'File': {
+      const file = parseJSON(value);
+      if (!file || file.__type !== 'File' || typeof file.name !== 'string' || !file.name) {
+        throw new Error('expected a JSON file reference such as {"__type":"File","name":"..."}');
+      }
+      // The server stores files by name, so the stored file is referenced, not copied
+      return { __type: 'File', name: file.name };
+    }
+    default:
+      throw new Error(`fields of type ${field.type} cannot be imported`);
+  }
+}
+
+/**
+ * Turn an imported record into a Parse.Object, collecting every problem.
+ * @returns {{ obj?: Parse.Object, errors: string[] }} The object or the errors
+ */
+function buildRow(className, record, fields, columns) {
+  const errors = [];
+  const values = {};
+
+  Object.keys(record).forEach((column) => {
+    const name = column in columns ? columns[column] : column;
+    if (!name || IGNORED_FIELDS.includes(name)) {
+      return;
+    }
+    const raw = record[column];
+    if (raw === '' || raw === null || raw === undefined) {
+      return;
+    }
+    if (!fields[name]) {
+      errors.push(`Unknown field '${name}'`);
+      return;
+    }
+    try {
+      values[name] = coerceValue(raw, fields[name]);
+    } catch (error) {
+      errors.push(`Field '${name}': ${error.message}`);
+    }
+  });
+
+  Object.keys(fields).forEach((name) => {
+    if (fields[name].required && values[name] === undefined && fields[name].defaultValue === undefined) {
+      errors.push(`Field '${name}' is required`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const obj = new Parse.Object(className);
+  Object.keys(values).forEach((name) => obj.set(name, values[name]));
+  return { obj, errors };
+}
+
+/**
+ * Import a stored CSV or NDJSON file into a class.
+ * @param {Object} request - The cloud function request
+ * @param {Object} params - Import parameters
+ * @param {string} params.className - Name of the class; it must already exist
+ * @param {string} params.filename - Name of the stored file
+ * @param {string} [params.format] - 'csv' or 'ndjson'
+ * @param {Object} [params.columns] - Map of source column to field name; null skips a column
+ * @param {Object} [params.acl] - ACL spec for imported rows
+ * @param {number} [params.chunkSize] - Rows per saveAll call
+ * @returns {Promise<{ imported: number, rejected: Array<{ line: number, errors: string[] }> }>} The outcome
+ */
+async function importRecords(
+  request,
+  { className, filename, format = 'csv', columns = {}, acl, chunkSize = DEFAULT_CHUNK_SIZE }
+) {
+  assertFormat(format);
+  assertBatchSize('chunkSize', chunkSize);
+  const { fields } = await new Parse.Schema(className).get();
+  const options = requestOptions(request);
+  const rejected = [];
+  let imported = 0;
+  let chunk = [];
+
+  const flush = async () => {
+    const results = await saveChunk(
+      chunk.map((row) => row.obj),
+      options
+    );
+    results.forEach((result, index) => {
+      if (result.success) imported++;
+      else rejected.push({ line: chunk[index].line, errors: [result.error.message] });
+    });
+    chunk = [];
+  };
+
+  for await (const { line, record, error } of readRecords(await openFileStream(filename), format)) {
+    if (error) {
+      rejected.push({ line, errors: [error] });
+      continue;
+    }
+    const { obj, errors } = buildRow(className, record, fields, columns);
+    if (!obj) {
+      rejected.push({ line, errors });
+      continue;
+    }
+    obj.setACL(buildACL(request, acl));
+    chunk.push({ line, obj });
+    if (chunk.length >= chunkSize) {
+      await flush();
+    }
+  }
+  if (chunk.length > 0) {
+    await flush();
+  }
+
+  return { imported, rejected };
+}
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * Export a table to a Parse File
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {string} request.params.format - 'csv' (default) or 'ndjson'
+ * @param {Object} request.params.filters - Query filters, same syntax as readTable
+ * @param {string[]} request.params.fields - Columns to export (default: all)
+ */
+Parse.Cloud.define('exportTable', async (request) => {
+  const { className, format = 'csv', filters, fields } = request.params;
+
+  if (!className) {
+    throw new Error('className is required');
+  }
+
+  try {
+    const stream = await exportStream(className, { format, filters, fields }, requestOptions(request));
+    const file = await createFileFromStream(`${className}.${format}`, stream, FORMATS[format]);
+
+    return {
+      success: true,
+      message: `Table '${className}' exported successfully`,
+      file: file,
+      url: file.url,
+    };
+  } catch (error) {
+    throw cloudError('Failed to export table', error);
+  }
+});
+
+/**
+ * Import a CSV or NDJSON file into a table
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {Object|string} request.params.file - The uploaded Parse File, or its name
+ * @param {string} request.params.format - 'csv' (default) or 'ndjson'
+ * @param {Object} request.params.columns - Map of source column to field name; null skips a column
+ * @param {Object} request.params.acl - Extra read/write users and roles for imported records
+ * @param {number} request.params.chunkSize - Records per saveAll call (default 100)
+ */
+Parse.Cloud.define('importTable', async (request) => {
+  const { className, file, format = 'csv', columns, acl, chunkSize } = request.params;
+  // Params are decoded, so an uploaded file arrives as a Parse.File
+  const filename = typeof file === 'string' ? file : file && (file instanceof Parse.File ? file.name() : file.name);
+
+  if (!className || !filename) {
+    throw new Error('className and file are required');
+  }
+
+  try {
+    const { imported, rejected } = await importRecords(request, {
+      className,
+      filename,
+      format,
+      columns,
+      acl,
+      chunkSize,
+    });
+
+    return {
+      success: true,
+      message: `${imported} records imported, ${rejected.length} rejected`,
+      imported: imported,
+      rejected: rejected,
+    };
+  } catch (error) {
+    throw cloudError('Failed to import table', error);
+  }
+});
+
+module.exports = {
+  FORMATS,
+  exportStream,
+  parseCsv,
+  importRecords,
+};
@@ -0,0 +1,344 @@
+/**
+ * Soft delete and trash bin
+ *
+ * Deleted records keep their row with a `trash_deletedAt` date and are hidden
+ * from the read functions; the field name is reserved so it does not collide
+ * with a `deletedAt` of the application's own. Dropped tables have their
+ * collections renamed aside and their schema kept in the internal `_Trash`
+ * class, so both can be restored until the retention period purges them.
+ */
+
+const crypto = require('crypto');
+const { requestOptions } = require('./access.cjs');
+const { systemCollection, database, reloadSchema } = require('./storage.cjs');
+const { installTriggers } = require('./triggers.cjs');
+const { actorOf, recordAudit } = require('./audit.cjs');
+const { visibleRecord } = require('./visibility.cjs');
+const { getConfig } = require('./config.cjs');
+const { cloudError } = require('./logger.cjs');
+
+const TRASH_CLASS = '_Trash';
+const SCHEMA_COLLECTION = '_SCHEMA';
+const DELETED_FIELD = 'trash_deletedAt';
+const RETENTION_DAYS = getConfig().trashRetentionDays;
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Hide soft-deleted rows from a query.
+ * @param {Parse.Query} query - The query
+ * @returns {Parse.Query} The same query
+ */
+function withoutTrashed(query) {
+  return query.doesNotExist(DELETED_FIELD);
+}
+
+/**
+ * Mark a record as deleted. The caller saves it.
+ * @param {Parse.Object} obj - The record
+ * @returns {Parse.Object} The same record
+ */
+function markDeleted(obj) {
+  return obj.set(DELETED_FIELD, new Date());
+}
+
+function collectionExists(db, name) {
+  return db
+    .listCollections({ name }, { nameOnly: true })
+    .toArray()
+    .then((collections) => collections.length > 0);
+}
+
+/**
+ * Names of the collections that hold a class: its own and its relation join tables.
+ */
+async function classCollections(db, prefix, className) {
+  const joinPattern = new RegExp(`^${prefix}_Join:[^:]+:${className}$`);
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  return collections
+    .map(({ name }) => name)
+    .filter((name) => name === `${prefix}${className}` || joinPattern.test(name))
+    .map((name) => name.slice(prefix.length));
+}
+
+/**
+ * Move a table to the trash: rename its collections aside and drop its schema.
+ * @param {string} className - Name of the class
+ * @param {Object} request - The request that dropped the table
+ * @returns {Promise<string>} The trash entry id
+ */
+async function trashTable(className, request) {
+  const { db, prefix } = await database();
+  const schema = await db.collection(`${prefix}${SCHEMA_COLLECTION}`).findOne({ _id: className });
+  if (!schema) {
+    throw new Error(`Class ${className} does not exist`);
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const collections = (await classCollections(db, prefix, className)).map((name) => ({
+    name,
+    trashName: `_Trash:${id}:${name}`,
+  }));
+
+  // Recorded first, so renamed collections can always be found and restored
+  const trash = await systemCollection(TRASH_CLASS);
+  await trash.insertOne({
+    _id: id,
+    kind: 'table',
+    className,
+    schema,
+    collections,
+    actor: actorOf(request),
+    deletedAt: new Date(),
+  });
+
+  const renamed = [];
+  try {
+    for (const { name, trashName } of collections) {
+      await db.collection(`${prefix}${name}`).rename(`${prefix}${trashName}`);
+      renamed.push({ name, trashName });
+    }
+    // The class is empty now, so Parse can remove its schema and cached state
+    await new Parse.Schema(className).delete();
+  } catch (error) {
+    // Put the table back; if that fails too, the entry stays so the renamed collections can be found
+    for (const { name, trashName } of renamed.reverse()) {
+      await db.collection(`${prefix}${trashName}`).rename(`${prefix}${name}`);
+    }
+    await trash.deleteOne({ _id: id });
+    throw error;
+  }
+  return id;
+}
+
+/**
+ * Restore a trashed table under its original name.
+ * @param {string} id - The trash entry id
+ * @returns {Promise<string>} The class name
+ */
+async function restoreTrashedTable(id) {
+  const trash = await systemCollection(TRASH_CLASS);
+  const entry = await trash.findOne({ _id: id, kind: 'table' });
+  if (!entry) {
+    throw new Error(`Trash entry ${id} not found`);
+  }
+
+  const { db, prefix } = await database();
+  const schemas = db.collection(`${prefix}${SCHEMA_COLLECTION}`);
+  if (await schemas.findOne({ _id: entry.className })) {
+    throw new Error(`Class ${entry.className} exists again; drop or rename it before restoring`);
+  }
+  for (const { name } of entry.collections) {
+    if (await collectionExists(db, `${prefix}${name}`)) {
+      throw new Error(`Collection ${name} exists again; drop it before restoring`);
+    }
+  }
+
+  for (const { name, trashName } of entry.collections) {
+    await db.collection(`${prefix}${trashName}`).rename(`${prefix}${name}`);
+  }
+  await schemas.insertOne(entry.schema);
+  await trash.deleteOne({ _id: id });
+  await reloadSchema();
+  installTriggers(entry.className);
+  return entry.className;
+}
+
+/**
+ * Permanently remove trashed tables and soft-deleted records.
+ * @param {Object} [options] - Purge options
+ * @param {string} [options.className] - Only purge this class
+ * @param {Date} [options.before] - Only purge items deleted before this date (default: everything)
+ * @returns {Promise<{ tables: number, records: number }>} What was purged
+ */
+async function purgeTrash({ className, before = new Date() } = {}) {
+  const { db, prefix } = await database();
+  const trash = await systemCollection(TRASH_CLASS);
+  const tableFilter = { kind: 'table', deletedAt: { $lt: before } };
+  if (className) tableFilter.className = className;
+
+  let tables = 0;
+  for (const entry of await trash.find(tableFilter).toArray()) {
+    for (const { trashName } of entry.collections) {
+      if (await collectionExists(db, `${prefix}${trashName}`)) {
+        await db.collection(`${prefix}${trashName}`).drop();
+      }
+    }
+    await trash.deleteOne({ _id: entry._id });
+    tables++;
+  }
+
+  const schemas = await Parse.Schema.all();
+  const classNames = schemas
+    .filter((schema) => schema.fields[DELETED_FIELD] && (!className || schema.className === className))
+    .map((schema) => schema.className);
+
+  let records = 0;
+  for (const name of classNames) {
+    const query = new Parse.Query(name).lessThan(DELETED_FIELD, before);
+    await query.eachBatch(
+      async (objects) => {
+        await Parse.Object.destroyAll(objects, { useMasterKey: true });
+        records += objects.length;
+      },
+      { useMasterKey: true, batchSize: PURGE_BATCH_SIZE }
+    );
+  }
+
+  return { tables, records };
+}
+
+/**
+ * Purge everything older than the retention period (TRASH_RETENTION_DAYS).
+ * @returns {Promise<{ tables: number, records: number }>} What was purged
+ */
+function purgeExpiredTrash() {
+  return purgeTrash({ before: new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000) });
+}
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * List the trash
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - List deleted records of this class
+ * @param {number} request.params.limit - Limit number of records (default 100)
+ * @param {number} request.params.skip - Skip number of records
+ */
+Parse.Cloud.define('listTrash', async (request) => {
+  const { className, limit = 100, skip = 0 } = request.params;
+
+  try {
+    let tables = [];
+    if (request.master) {
+      const trash = await systemCollection(TRASH_CLASS);
+      const filter = className ? { kind: 'table', className } : { kind: 'table' };
+      tables = (await trash.find(filter).sort({ deletedAt: -1 }).toArray()).map((entry) => ({
+        trashId: entry._id,
+        className: entry.className,
+        deletedAt: entry.deletedAt,
+        actor: entry.actor,
+      }));
+    }
+
+    let records = [];
+    if (className) {
+      const query = new Parse.Query(className).exists(DELETED_FIELD).descending(DELETED_FIELD);
+      query.limit(limit);
+      query.skip(skip);
+      records = (await query.find(requestOptions(request))).map((obj) => obj.toJSON());
+    }
+
+    return {
+      success: true,
+      retentionDays: RETENTION_DAYS,
+      tables: tables,
+      records: records,
+    };
+  } catch (error) {
+    throw cloudError('Failed to list trash', error);
+  }
+});
+
+/**
+ * Restore a deleted record
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class
+ * @param {string} request.params.objectId - ID of the record to restore
+ */
+Parse.Cloud.define('restoreRecord', async (request) => {
+  const { className, objectId } = request.params;
+
+  if (!className || !objectId) {
+    throw new Error('className and objectId are required');
+  }
+
+  try {
+    const options = requestOptions(request);
+    const obj = await new Parse.Query(className).exists(DELETED_FIELD).get(objectId, options);
+    obj.unset(DELETED_FIELD);
+    await obj.save(null, options);
+
+    return {
+      success: true,
+      message: 'Record restored successfully',
+      objectId: obj.id,
+      data: await visibleRecord(request, obj),
+    };
+  } catch (error) {
+    throw cloudError('Failed to restore record', error);
+  }
+});
+
+/**
+ * Restore a dropped table
+ * @param {Object} request - The request object
+ * @param {string} request.params.trashId - The trash entry id from listTrash
+ */
+Parse.Cloud.define(
+  'restoreTable',
+  async (request) => {
+    const { trashId } = request.params;
+
+    if (!trashId) {
+      throw new Error('trashId is required');
+    }
+
+    try {
+      const className = await restoreTrashedTable(trashId);
+      await recordAudit(request, { operation: 'restoreTable', className });
+
+      return {
+        success: true,
+        message: `Table '${className}' restored successfully`,
+        className: className,
+      };
+    } catch (error) {
+      throw cloudError('Failed to restore table', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Permanently delete trashed tables and records
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Only empty the trash of this class
+ * @param {number} request.params.olderThanDays - Only purge items deleted at least this many days ago
+ */
+Parse.Cloud.define(
+  'emptyTrash',
+  async (request) => {
+    const { className, olderThanDays = 0 } = request.params;
+
+    try {
+      const before = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+      const purged = await purgeTrash({ className, before });
+      await recordAudit(request, { operation: 'emptyTrash', className: className || '*', diff: { purged: { after: purged } } });
+
+      return {
+        success: true,
+        message: `${purged.tables} tables and ${purged.records} records purged`,
+        ...purged,
+      };
+    } catch (error) {
+      throw cloudError('Failed to empty trash', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Purge trash older than the retention period
+ */
+Parse.Cloud.job('purgeTrash', async () => {
+  const { tables, records } = await purgeExpiredTrash();
+  return `Purged ${tables} tables and ${records} records older than ${RETENTION_DAYS} days`;
+});
+
+module.exports = {
+  DELETED_FIELD,
+  withoutTrashed,
+  markDeleted,
+  trashTable,
+  purgeExpiredTrash,
+};
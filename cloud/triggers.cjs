@@ -0,0 +1,108 @@
+/**
+ * Global class triggers
+ *
+ * Parse Server keeps a single handler per trigger type and class, and has no
+ * wildcard class. Features register global hooks here instead; one Parse
+ * trigger per class and type then runs every hook in registration order.
+ *
+ *   addGlobalTrigger('afterSave', async (request) => { ... });
+ *
+ * beforeSave, afterSave, beforeDelete, afterDelete and beforeFind hooks
+ * receive the trigger request. afterFind hooks may return a replacement
+ * objects array.
+ *
+ * A class gets its triggers as soon as this instance creates or first writes
+ * it, so the first row of a class created by a client write is audited and
+ * masked like the rest. Classes created by other instances are picked up by
+ * installTriggersForAllClasses.
+ */
+
+const { SchemaController } = require('parse-server/lib/Controllers/SchemaController');
+
+const TRIGGER_TYPES = ['beforeSave', 'afterSave', 'beforeDelete', 'afterDelete', 'beforeFind', 'afterFind'];
+
+// Internal classes that do not allow these triggers or must not be changed by them
+const EXCLUDED_CLASSES = [
+  '_Session',
+  '_PushStatus',
+  '_JobStatus',
+  '_JobSchedule',
+  '_Hooks',
+  '_GlobalConfig',
+  '_Audience',
+  '_Idempotency',
+];
+
+const hooks = Object.fromEntries(TRIGGER_TYPES.map((type) => [type, []]));
+const installed = new Set();
+
+function dispatcher(type) {
+  if (type === 'afterFind') {
+    return async (request) => {
+      let { objects } = request;
+      for (const hook of hooks.afterFind) {
+        objects = (await hook({ ...request, objects })) || objects;
+      }
+      return objects;
+    };
+  }
+  return async (request) => {
+    for (const hook of hooks[type]) {
+      await hook(request);
+    }
+  };
+}
+
+/**
+ * Install the Parse triggers of a class for every trigger type that has hooks.
+ * Safe to call repeatedly.
+ * @param {string} className - Name of the class
+ */
+function installTriggers(className) {
+  if (EXCLUDED_CLASSES.includes(className) || className.startsWith('_Join:')) {
+    return;
+  }
+  TRIGGER_TYPES.forEach((type) => {
+    const key = `${type}.${className}`;
+    if (hooks[type].length > 0 && !installed.has(key)) {
+      Parse.Cloud[type](className, dispatcher(type));
+      installed.add(key);
+    }
+  });
+}
+
+/**
+ * Install triggers for every class in the schema.
+ */
+async function installTriggersForAllClasses() {
+  const schemas = await Parse.Schema.all();
+  schemas.forEach(({ className }) => installTriggers(className));
+}
+
+// Parse creates classes through these, for schema API calls and for writes to new classes alike
+['addClassIfNotExists', 'enforceClassExists'].forEach((method) => {
+  const original = SchemaController.prototype[method];
+  SchemaController.prototype[method] = async function (className, ...args) {
+    const result = await original.call(this, className, ...args);
+    installTriggers(className);
+    return result;
+  };
+});
+
+/**
+ * Register a hook that runs for every class.
+ * @param {string} type - One of beforeSave, afterSave, beforeDelete, afterDelete, beforeFind, afterFind
+ * @param {Function} hook - async (request) => {}
+ */
+function addGlobalTrigger(type, hook) {
+  if (!hooks[type]) {
+    throw new Error(`Unsupported trigger type '${type}'`);
+  }
+  hooks[type].push(hook);
+}
+
+module.exports = {
+  addGlobalTrigger,
+  installTriggers,
+  installTriggersForAllClasses,
+};
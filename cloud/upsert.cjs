@@ -0,0 +1,167 @@
+/**
+ * Upsert by natural key
+ *
+ * Rows are matched on one or more key fields backed by a sparse unique index,
+ * so two concurrent upserts of the same key cannot both insert: the loser gets
+ * a duplicate value error and is retried as an update. Only the master key
+ * creates that index; other callers can upsert on indexes that exist.
+ */
+
+const { requestOptions, buildACL } = require('./access.cjs');
+const { compileFilters } = require('./query.cjs');
+const { saveChunk, assertBatchSize, DEFAULT_CHUNK_SIZE } = require('./bulk.cjs');
+const { ensureUniqueIndex, hasUniqueIndex } = require('./storage.cjs');
+const { DELETED_FIELD } = require('./trash.cjs');
+
+function keyPart(value) {
+  if (value && value.__type === 'Pointer') return `${value.className}:${value.objectId}`;
+  if (value && value.__type === 'Date') return value.iso;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function naturalKey(json, keys) {
+  return JSON.stringify(keys.map((key) => keyPart(json[key])));
+}
+
+/**
+ * Find the existing rows for a set of records.
+ * @returns {Promise<Map<string, Parse.Object>>} Rows by natural key
+ */
+async function findExisting(className, records, keys, options) {
+  const clauses = records.map((record) => {
+    const clause = {};
+    keys.forEach((key) => {
+      clause[key] = record[key];
+    });
+    return clause;
+  });
+  const query = compileFilters(className, { $or: clauses });
+  query.limit(records.length);
+  const rows = await query.find(options);
+  return new Map(rows.map((row) => [naturalKey(row.toJSON(), keys), row]));
+}
+
+function keyValues(record, keys) {
+  const values = {};
+  keys.forEach((key) => {
+    values[key] = record[key];
+  });
+  return values;
+}
+
+/**
+ * Upsert one chunk of records.
+ * @param {Object} request - The cloud function request
+ * @param {string} className - Name of the class
+ * @param {Object[]} items - { index, record } pairs, index being the position in the input
+ * @param {string[]} keys - Natural key fields
+ * @param {Object} [acl] - ACL spec for inserted rows
+ * @param {boolean} [retry] - Whether lost insert races may be retried
+ * @returns {Promise<Object[]>} One result per record, with its index and key values
+ */
+async function upsertChunk(request, className, items, keys, acl, retry = true) {
+  const options = requestOptions(request);
+  const records = items.map((item) => item.record);
+  const existing = await findExisting(className, records, keys, options);
+  const rows = new Map();
+
+  // Later records with the same key are merged into the same row
+  items.forEach((item) => {
+    const key = naturalKey(item.record, keys);
+    if (!rows.has(key)) {
+      const found = existing.get(key);
+      const obj = found || new Parse.Object(className);
+      if (!found) {
+        obj.setACL(buildACL(request, acl));
+      } else if (found.has(DELETED_FIELD)) {
+        // Upserting a row that is in the trash brings it back
+        found.unset(DELETED_FIELD);
+      }
+      rows.set(key, { obj, operation: found ? 'update' : 'insert', items: [] });
+    }
+    const row = rows.get(key);
+    row.items.push(item);
+    Object.keys(item.record).forEach((field) => {
+      row.obj.set(field, item.record[field]);
+    });
+  });
+
+  const entries = [...rows.values()];
+  const saved = await saveChunk(
+    entries.map((entry) => entry.obj),
+    options
+  );
+
+  const results = [];
+  const conflicts = [];
+  saved.forEach((result, position) => {
+    const { operation, items: merged } = entries[position];
+    const lostRace =
+      retry && operation === 'insert' && !result.success && result.error.code === Parse.Error.DUPLICATE_VALUE;
+    if (lostRace) {
+      conflicts.push(...merged);
+      return;
+    }
+    // Only the first record of a merged row inserted it; the others updated it
+    merged.forEach(({ index, record }, i) => {
+      results.push({
+        index,
+        key: keyValues(record, keys),
+        ...result,
+        operation: i === 0 ? operation : 'update',
+      });
+    });
+  });
+
+  if (conflicts.length > 0) {
+    results.push(...(await upsertChunk(request, className, conflicts, keys, acl, false)));
+  }
+  return results;
+}
+
+/**
+ * Insert or update records matched on natural key fields.
+ * @param {Object} request - The cloud function request
+ * @param {Object} params - Upsert parameters
+ * @param {string} params.className - Name of the class
+ * @param {Object[]} params.records - Records to upsert
+ * @param {string|string[]} params.upsertOn - Natural key field(s)
+ * @param {Object} [params.acl] - ACL spec for inserted rows
+ * @param {number} [params.chunkSize] - Records per round trip
+ * @returns {Promise<Object[]>} Per-record results in input order, with operation 'insert' or 'update'
+ */
+async function upsertRecords(request, { className, records, upsertOn, acl, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  const keys = Array.isArray(upsertOn) ? upsertOn : [upsertOn];
+  if (keys.length === 0 || keys.some((key) => typeof key !== 'string' || !key)) {
+    throw new Error('upsertOn must name one or more fields');
+  }
+  assertBatchSize('records', records.length);
+  assertBatchSize('chunkSize', chunkSize);
+  records.forEach((record, index) => {
+    const missing = keys.filter((key) => record[key] === undefined || record[key] === null);
+    if (missing.length > 0) {
+      throw new Error(`Record ${index} is missing key field(s): ${missing.join(', ')}`);
+    }
+  });
+
+  if (request.master) {
+    await ensureUniqueIndex(className, keys);
+  } else if (!(await hasUniqueIndex(className, keys))) {
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `'${className}' has no unique index over ${keys.join(', ')}; upsert with the master key once to create it`
+    );
+  }
+
+  const items = records.map((record, index) => ({ index, record }));
+  const results = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    results.push(...(await upsertChunk(request, className, items.slice(i, i + chunkSize), keys, acl)));
+  }
+  return results.sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  upsertRecords,
+};
@@ -0,0 +1,185 @@
+/**
+ * Declarative validation rules
+ *
+ * VALIDATION_RULES holds JSON-Schema style rules by class, checked by a
+ * beforeSave trigger on every write, whether it comes from a cloud function,
+ * the REST API or an SDK:
+ *
+ *   {
+ *     "Post": {
+ *       "required": ["title"],
+ *       "additionalProperties": false,
+ *       "properties": {
+ *         "title": { "type": "string", "minLength": 1, "maxLength": 200 },
+ *         "status": { "enum": ["draft", "published"] },
+ *         "rating": { "type": "integer", "minimum": 1, "maximum": 5 }
+ *       }
+ *     }
+ *   }
+ *
+ * Required fields must be given on create and cannot be unset later. Only the
+ * fields a write changes are checked, so rows stored before a rule existed
+ * can still be updated. A rejected write fails with VALIDATION_ERROR and a
+ * message that ends with the violations as JSON; the record functions return
+ * the violations as data instead.
+ */
+
+const { defaultColumns } = require('parse-server/lib/Controllers/SchemaController');
+const { addGlobalTrigger } = require('./triggers.cjs');
+const { DELETED_FIELD } = require('./trash.cjs');
+const { getConfig } = require('./config.cjs');
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && Object.getPrototypeOf(value) === Object.prototype,
+  date: (value) => value instanceof Date,
+  pointer: (value) => value instanceof Parse.Object,
+  file: (value) => value instanceof Parse.File,
+  geopoint: (value) => value instanceof Parse.GeoPoint,
+  polygon: (value) => value instanceof Parse.Polygon,
+};
+
+/**
+ * Fields every class may have whatever its rules say.
+ */
+function builtInFields(className) {
+  return [...Object.keys(defaultColumns._Default), ...Object.keys(defaultColumns[className] || {}), DELETED_FIELD];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Violations of one field rule by a value that is set.
+ * @returns {Object[]} { field, rule, message } per violation
+ */
+function checkField(field, rule, value) {
+  const errors = [];
+  const fail = (name, message) => errors.push({ field, rule: name, message: `'${field}' ${message}` });
+
+  if (rule.type !== undefined) {
+    const types = [].concat(rule.type);
+    if (!types.some((type) => TYPE_CHECKS[type](value))) {
+      fail('type', `must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (rule.enum !== undefined && !rule.enum.some((allowed) => sameValue(allowed, value))) {
+    fail('enum', `must be one of ${rule.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    // Characters, not UTF-16 code units
+    const length = [...value].length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      fail('minLength', `must be at least ${rule.minLength} characters long`);
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      fail('maxLength', `must be at most ${rule.maxLength} characters long`);
+    }
+    if (rule.pattern !== undefined && !new RegExp(rule.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${rule.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.minimum !== undefined && value < rule.minimum) fail('minimum', `must be at least ${rule.minimum}`);
+    if (rule.maximum !== undefined && value > rule.maximum) fail('maximum', `must be at most ${rule.maximum}`);
+    if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be greater than ${rule.exclusiveMinimum}`);
+    }
+    if (rule.exclusiveMaximum !== undefined && value >= rule.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be less than ${rule.exclusiveMaximum}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      fail('minItems', `must have at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      fail('maxItems', `must have at most ${rule.maxItems} items`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a write against the validation rules of its class.
+ * @param {Parse.Object} object - The record as it will be saved
+ * @param {boolean} isNew - Whether the write creates the record
+ * @returns {Object[]} { field, rule, message } per violation; empty when valid or the class has no rules
+ */
+function validateObject(object, isNew) {
+  const rules = getConfig().validationRules[object.className];
+  if (!rules) {
+    return [];
+  }
+  const { required = [], properties = {}, additionalProperties = true } = rules;
+  const changed = isNew ? Object.keys(object.attributes) : object.dirtyKeys();
+  const errors = [];
+
+  required.forEach((field) => {
+    if ((isNew || changed.includes(field)) && isEmpty(object.get(field))) {
+      errors.push({ field, rule: 'required', message: `'${field}' is required` });
+    }
+  });
+
+  const builtIn = builtInFields(object.className);
+  changed.forEach((field) => {
+    if (builtIn.includes(field)) {
+      return;
+    }
+    const rule = properties[field];
+    if (!rule) {
+      if (!additionalProperties) {
+        errors.push({ field, rule: 'additionalProperties', message: `'${field}' is not an allowed field` });
+      }
+      return;
+    }
+    const value = object.get(field);
+    if (!isEmpty(value) && !(value instanceof Parse.Relation)) {
+      errors.push(...checkField(field, rule, value));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Error for rejected writes. The violations are appended as JSON so REST
+ * clients, which only receive the code and message, can read them.
+ * @param {Object[]} errors - Violations, as returned by validateObject
+ * @returns {Parse.Error} The error
+ */
+function validationError(errors) {
+  return new Parse.Error(Parse.Error.VALIDATION_ERROR, `Validation failed: ${JSON.stringify(errors)}`);
+}
+
+/**
+ * Cloud function response for rejected writes, with the violations as data.
+ * @param {Object[]} errors - Violations, as returned by validateObject
+ * @returns {Object} { success: false, code, message, errors }
+ */
+function validationFailure(errors) {
+  const { code, message } = validationError(errors);
+  return { success: false, code, message, errors };
+}
+
+addGlobalTrigger('beforeSave', (request) => {
+  const errors = validateObject(request.object, !request.original);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+});
+
+module.exports = {
+  validateObject,
+  validationError,
+  validationFailure,
+};
@@ -0,0 +1,300 @@
+/**
+ * Role-based field visibility
+ *
+ * FIELD_POLICIES names, per class and field, who may see the value:
+ *
+ *   {
+ *     "Customer": {
+ *       "phone": { "visibleTo": ["Admin"], "mask": "last4", "maskedTo": ["Support"] },
+ *       "email": { "visibleTo": ["Admin", "Support"], "mask": "email" },
+ *       "notes": { "visibleTo": ["Admin"] }
+ *     },
+ *     "_User": { "email": { "visibleTo": ["self"] } }
+ *   }
+ *
+ * The master key and users with a `visibleTo` role see the value; `self`
+ * matches a user reading their own `_User` record. Users with a `maskedTo`
+ * role, or everyone else when `maskedTo` is absent, see it masked; the rest
+ * do not get the field at all. Records are masked in afterFind, so REST,
+ * SDK and cloud function reads are covered, included pointers too. Queries
+ * cannot filter or sort by a field the caller cannot see in full, neither
+ * directly nor through a subquery.
+ *
+ * With ENFORCE_PRIVATE_USERS, users only read their own `_User` record:
+ * queries are narrowed to it, other users included through pointers are
+ * reduced to pointers and subqueries cannot filter other users.
+ */
+
+const { rolesOf } = require('./access.cjs');
+const { addGlobalTrigger } = require('./triggers.cjs');
+const { getConfig } = require('./config.cjs');
+
+const SELF = 'self';
+const MASKS = {
+  last4: (text) => '•'.repeat(Math.max(0, text.length - 4)) + text.slice(-4),
+  email: (text) => {
+    const at = text.lastIndexOf('@');
+    return at > 0 ? `${text[0]}•••${text.slice(at)}` : '•••';
+  },
+  redacted: () => '•••',
+};
+// Included objects nested deeper than this are left as they are
+const MAX_DEPTH = 5;
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor'];
+// Parse Server runs these subqueries without the beforeFind trigger of their class
+const SUBQUERY_OPERATORS = ['$inQuery', '$notInQuery'];
+const SELECT_OPERATORS = ['$select', '$dontSelect'];
+
+function policiesOf(className) {
+  return getConfig().fieldPolicies[className] || {};
+}
+
+function hasPolicies(className) {
+  return Object.keys(policiesOf(className)).length > 0;
+}
+
+function privateUsers(className) {
+  return className === '_User' && getConfig().enforcePrivateUsers;
+}
+
+/**
+ * Whether a `_User` record is another user's, hidden from the viewer.
+ */
+function isPrivateUser(className, objectId, viewer) {
+  return privateUsers(className) && !viewer.master && objectId !== viewer.userId;
+}
+
+/**
+ * Who is reading: the master key, or a user and their roles.
+ * @param {Object} request - A cloud function or trigger request ({ master, user })
+ * @returns {Promise<{ master: boolean, userId: string|null, roles: string[] }>} The viewer
+ */
+async function viewerOf({ master, user }) {
+  return {
+    master: Boolean(master),
+    userId: user ? user.id : null,
+    roles: master ? [] : await rolesOf(user),
+  };
+}
+
+/**
+ * How a viewer sees a field of a record.
+ * @param {string} className - Name of the class
+ * @param {string} objectId - ID of the record, for `self`
+ * @param {string} field - The field
+ * @param {Object} viewer - From viewerOf
+ * @returns {string} 'full', 'masked' or 'hidden'
+ */
+function fieldAccess(className, objectId, field, viewer) {
+  const policy = policiesOf(className)[field];
+  if (!policy || viewer.master) {
+    return 'full';
+  }
+  const matches = (names = []) =>
+    names.some((name) =>
+      name === SELF ? className === '_User' && objectId === viewer.userId : viewer.roles.includes(`role:${name}`)
+    );
+  if (matches(policy.visibleTo)) {
+    return 'full';
+  }
+  if (policy.mask && (!policy.maskedTo || matches(policy.maskedTo))) {
+    return 'masked';
+  }
+  return 'hidden';
+}
+
+/**
+ * Fields of a class a viewer may not see in full on every record, e.g. to
+ * refuse them in filters, sorts and aggregations.
+ * @param {string} className - Name of the class
+ * @param {Object} viewer - From viewerOf
+ * @returns {string[]} The field names
+ */
+function restrictedFields(className, viewer) {
+  return Object.keys(policiesOf(className)).filter((field) => fieldAccess(className, null, field, viewer) !== 'full');
+}
+
+/**
+ * Value of a field as a viewer sees it; undefined when it is hidden.
+ * Values that cannot be masked are hidden.
+ */
+function visibleValue(className, objectId, field, value, viewer) {
+  const access = fieldAccess(className, objectId, field, viewer);
+  if (access === 'full') {
+    return value;
+  }
+  if (access === 'masked' && (typeof value === 'string' || typeof value === 'number')) {
+    return MASKS[policiesOf(className)[field].mask](String(value));
+  }
+  return undefined;
+}
+
+function maskNested(value, viewer, depth) {
+  if (Array.isArray(value)) {
+    return value.map((item) => maskNested(item, viewer, depth));
+  }
+  if (value && value.__type === 'Object' && isPrivateUser(value.className, value.objectId, viewer)) {
+    return { __type: 'Pointer', className: value.className, objectId: value.objectId };
+  }
+  if (value && value.__type === 'Object' && depth < MAX_DEPTH) {
+    return maskRecord(value.className, value, viewer, depth + 1);
+  }
+  return value;
+}
+
+/**
+ * Copy of a record in JSON form with the field policies applied, included
+ * objects too.
+ * @param {string} className - Name of the class
+ * @param {Object} record - The record, e.g. from toJSON()
+ * @param {Object} viewer - From viewerOf
+ * @returns {Object} The masked copy
+ */
+function maskRecord(className, record, viewer, depth = 0) {
+  const masked = {};
+  Object.entries(record).forEach(([field, value]) => {
+    const visible = visibleValue(className, record.objectId, field, value, viewer);
+    if (visible !== undefined) {
+      masked[field] = maskNested(visible, viewer, depth);
+    }
+  });
+  return masked;
+}
+
+/**
+ * A record with the field policies applied, as a new Parse.Object.
+ * @param {Parse.Object} object - The record
+ * @param {Object} viewer - From viewerOf
+ * @returns {Parse.Object} The masked record
+ */
+function maskObject(object, viewer) {
+  if (viewer.master) {
+    return object;
+  }
+  // A new object: unsetting fields would serialize as Delete operations
+  return Parse.Object.fromJSON({ ...maskRecord(object.className, object.toJSON(), viewer), className: object.className });
+}
+
+/**
+ * JSON of a record as the caller of a request sees it.
+ * @param {Object} request - A cloud function request
+ * @param {Parse.Object} object - The record
+ * @returns {Promise<Object>} The masked JSON
+ */
+async function visibleRecord(request, object) {
+  return maskRecord(object.className, object.toJSON(), await viewerOf(request));
+}
+
+/**
+ * Fields a query constrains, as { className, field, subquery }: at any depth
+ * of $or, $and and $nor, and in the subqueries of $inQuery, $notInQuery,
+ * $select and $dontSelect, including the key a $select compares.
+ */
+function constrainedFields(className, where, subquery = false) {
+  return Object.entries(where || {}).flatMap(([key, value]) => {
+    if (LOGICAL_OPERATORS.includes(key) && Array.isArray(value)) {
+      return value.flatMap((clause) => constrainedFields(className, clause, subquery));
+    }
+    const fields = [{ className, field: key, subquery }];
+    if (value && typeof value === 'object') {
+      SUBQUERY_OPERATORS.filter((operator) => value[operator]).forEach((operator) => {
+        const { className: inner, where: innerWhere } = value[operator];
+        fields.push(...constrainedFields(inner, innerWhere, true));
+      });
+      SELECT_OPERATORS.filter((operator) => value[operator]).forEach((operator) => {
+        const { query = {}, key: selected } = value[operator];
+        fields.push({ className: query.className, field: selected, subquery: true });
+        fields.push(...constrainedFields(query.className, query.where, true));
+      });
+    }
+    return fields;
+  });
+}
+
+/**
+ * Whether field policies or private users apply to a query, so it needs checking.
+ * @param {string} className - Name of the class
+ * @param {Object} where - Query in REST form
+ * @returns {boolean} True when the query touches a class with policies
+ */
+function isGuarded(className, where) {
+  const classNames = new Set([className, ...constrainedFields(className, where).map((entry) => entry.className)]);
+  return [...classNames].some((name) => hasPolicies(name) || privateUsers(name));
+}
+
+/**
+ * Refuse a query that filters or sorts by fields the viewer cannot see in
+ * full, or filters other users through a subquery when users are private.
+ * @param {string} className - Name of the class
+ * @param {Object} query - { where, order } in REST form
+ * @param {Object} viewer - From viewerOf
+ */
+function assertQueryAllowed(className, { where, order = [] }, viewer) {
+  if (viewer.master) {
+    return;
+  }
+  const restricted = {};
+  const isRestricted = (name, field) => {
+    restricted[name] = restricted[name] || restrictedFields(name, viewer);
+    return restricted[name].includes(field);
+  };
+  const orderFields = [].concat(order).flatMap((keys) => String(keys).split(',')).map((key) => key.replace(/^-/, ''));
+  const fields = [...constrainedFields(className, where), ...orderFields.map((field) => ({ className, field }))];
+
+  const denied = fields.find((entry) => isRestricted(entry.className, entry.field));
+  if (denied) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Permission denied to query or sort by '${denied.field}'`);
+  }
+  if (fields.some((entry) => entry.subquery && privateUsers(entry.className))) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Permission denied to query other users');
+  }
+}
+
+/**
+ * A query narrowed to the rows the viewer may read: their own `_User` record
+ * when users are private.
+ * @param {string} className - Name of the class
+ * @param {Object} where - Query in REST form
+ * @param {Object} viewer - From viewerOf
+ * @returns {Object} The narrowed query
+ */
+function visibleWhere(className, where, viewer) {
+  if (!privateUsers(className) || viewer.master) {
+    return where;
+  }
+  // Anonymous callers match nothing
+  return { $and: [where || {}, { objectId: viewer.userId }] };
+}
+
+addGlobalTrigger('beforeFind', async (request) => {
+  const { className, _where: where, _order: order } = request.query;
+  if (request.master || !isGuarded(className, where)) {
+    return;
+  }
+  const viewer = await viewerOf(request);
+  assertQueryAllowed(className, { where, order }, viewer);
+  request.query._where = visibleWhere(className, where, viewer);
+});
+
+addGlobalTrigger('afterFind', async (request) => {
+  if (request.master || request.objects.length === 0) {
+    return undefined;
+  }
+  const viewer = await viewerOf(request);
+  return request.objects
+    .filter((object) => !isPrivateUser(object.className, object.id, viewer))
+    .map((object) => maskObject(object, viewer));
+});
+
+module.exports = {
+  viewerOf,
+  fieldAccess,
+  restrictedFields,
+  visibleValue,
+  maskRecord,
+  maskObject,
+  visibleRecord,
+  isPrivateUser,
+  assertQueryAllowed,
+  visibleWhere,
+};
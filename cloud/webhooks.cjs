@@ -0,0 +1,604 @@
+/**
+ * Outbound webhooks
+ *
+ * Subscriptions in the internal `_Webhook` class name a class (or `*` for
+ * every non-internal class), the events they want (create, update, delete)
+ * and a target URL. Every matching change enqueues a delivery in
+ * `_WebhookDelivery`, which is POSTed right away and retried with
+ * exponential backoff until the receiver answers 2xx or WEBHOOK_MAX_ATTEMPTS
+ * is reached. Each attempt is kept in the delivery log.
+ *
+ * Requests are signed with the subscription secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { systemCollection } = require('./storage.cjs');
+const { addGlobalTrigger } = require('./triggers.cjs');
+const { snapshot, recordAudit } = require('./audit.cjs');
+const { DELETED_FIELD } = require('./trash.cjs');
+const { trackJob } = require('./shutdown.cjs');
+const { logger, cloudError } = require('./logger.cjs');
+const { getConfig } = require('./config.cjs');
+
+const WEBHOOK_CLASS = '_Webhook';
+const DELIVERY_CLASS = '_WebhookDelivery';
+const EVENTS = ['create', 'update', 'delete'];
+const ALL_CLASSES = '*';
+const { webhookMaxAttempts: MAX_ATTEMPTS, webhookRetryBaseMs: RETRY_BASE_MS, webhookTimeoutMs: TIMEOUT_MS } =
+  getConfig();
+// Due deliveries sent per poll
+const POLL_BATCH_SIZE = 50;
+// Response text kept per attempt
+const MAX_RESPONSE_LENGTH = 1000;
+
+let indexesReady = null;
+let polling = false;
+
+async function collections() {
+  const webhooks = await systemCollection(WEBHOOK_CLASS);
+  const deliveries = await systemCollection(DELIVERY_CLASS);
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      webhooks.createIndex({ className: 1, active: 1 }),
+      deliveries.createIndex({ status: 1, nextAttemptAt: 1 }),
+      deliveries.createIndex({ webhookId: 1, createdAt: -1 }),
+      deliveries.createIndex({ className: 1, objectId: 1, createdAt: -1 }),
+    ]).catch((error) => {
+      indexesReady = null;
+      throw error;
+    });
+  }
+  await indexesReady;
+  return { webhooks, deliveries };
+}
+
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Signature header for a request body.
+ * @param {string} secret - The subscription secret
+ * @param {string} body - The raw JSON body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string} The X-Webhook-Signature value
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the attempt after `attemptCount` failed ones: the base
+ * doubled each time, with up to 10% jitter.
+ */
+function retryDelay(attemptCount) {
+  const delay = RETRY_BASE_MS * 2 ** (attemptCount - 1);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook url '${url}'`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Webhook url must use http or https');
+  }
+}
+
+function checkEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !EVENTS.includes(event))) {
+    throw new Error(`events must be a non-empty list of ${EVENTS.join(', ')}`);
+  }
+}
+
+function publicWebhook({ _id, secret, ...webhook }) {
+  return { webhookId: _id, ...webhook };
+}
+
+function publicDelivery({ _id, ...delivery }) {
+  return { deliveryId: _id, ...delivery };
+}
+
+/**
+ * POST a JSON body, without following redirects.
+ * @returns {Promise<{ statusCode: number, text: string }>} The status and the start of the response text
+ */
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const { request } = new URL(url).protocol === 'https:' ? https : http;
+    const req = request(url, { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) } });
+    const timer = setTimeout(() => {
+      reject(new Error(`Timed out after ${TIMEOUT_MS}ms`));
+      req.destroy();
+    }, TIMEOUT_MS);
+    const fail = (error) => {
+      clearTimeout(timer);
+      reject(error);
+    };
+    req.on('response', (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({ statusCode: res.statusCode, text: text.slice(0, MAX_RESPONSE_LENGTH) });
+      });
+      res.on('error', fail);
+    });
+    req.on('error', fail);
+    req.end(body);
+  });
+}
+
+/**
+ * POST a claimed delivery once and record the attempt.
+ */
+async function attemptDelivery(deliveries, webhooks, delivery) {
+  const webhook = await webhooks.findOne({ _id: delivery.webhookId });
+  if (!webhook || !webhook.active) {
+    await deliveries.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'cancelled', nextAttemptAt: null, finishedAt: new Date() } }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const attempt = { number: delivery.attemptCount + 1, at: new Date(), url: webhook.url };
+  const started = Date.now();
+  try {
+    const { statusCode, text } = await post(
+      webhook.url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Parse-Server-Webhooks',
+        'X-Webhook-Id': delivery._id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(webhook.secret, body),
+      },
+      body
+    );
+    attempt.statusCode = statusCode;
+    attempt.response = text;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  const exhausted = attempt.number >= MAX_ATTEMPTS;
+  const update = {
+    status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+    attemptCount: attempt.number,
+    nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryDelay(attempt.number)),
+  };
+  if (succeeded || exhausted) {
+    update.finishedAt = new Date();
+  }
+  await deliveries.updateOne({ _id: delivery._id }, { $set: update, $push: { attempts: attempt } });
+  if (!succeeded) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery._id,
+      webhookId: delivery.webhookId,
+      attempt: attempt.number,
+      statusCode: attempt.statusCode,
+      error: attempt.error,
+      retrying: !exhausted,
+    });
+  }
+}
+
+/**
+ * Claim a due delivery so no other server sends it meanwhile: it is not due
+ * again until the attempt has surely timed out.
+ */
+async function claimDelivery(deliveries, filter = {}) {
+  const now = new Date();
+  const { value } = await deliveries.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + 2 * TIMEOUT_MS) } },
+    { sort: { nextAttemptAt: 1 } }
+  );
+  return value;
+}
+
+/**
+ * Send the given deliveries now, if they are due.
+ * @param {string[]} ids - Delivery ids
+ */
+async function deliverNow(ids) {
+  const { webhooks, deliveries } = await collections();
+  await Promise.all(
+    ids.map(async (id) => {
+      const delivery = await claimDelivery(deliveries, { _id: id });
+      if (delivery) {
+        await attemptDelivery(deliveries, webhooks, delivery);
+      }
+    })
+  );
+}
+
+/**
+ * Send the deliveries that are due, e.g. retries. Overlapping calls return at once.
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+  if (polling) {
+    return 0;
+  }
+  polling = true;
+  try {
+    const { webhooks, deliveries } = await collections();
+    let attempted = 0;
+    let delivery;
+    while (attempted < POLL_BATCH_SIZE && (delivery = await claimDelivery(deliveries))) {
+      await attemptDelivery(deliveries, webhooks, delivery);
+      attempted++;
+    }
+    return attempted;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Enqueue a delivery of a change to every matching subscription and send them.
+ */
+async function enqueue(event, request) {
+  const { object, original } = request;
+  const className = object.className;
+  const { webhooks, deliveries } = await collections();
+  const classNames = className.startsWith('_') ? [className] : [className, ALL_CLASSES];
+  const subscriptions = await webhooks.find({ className: { $in: classNames }, events: event, active: true }).toArray();
+  if (subscriptions.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+  const payload = {
+    id: newId(),
+    event,
+    className,
+    objectId: object.id,
+    occurredAt: now.toISOString(),
+    object: snapshot(object),
+    original: original ? snapshot(original) : null,
+  };
+  const entries = subscriptions.map((webhook) => ({
+    _id: newId(),
+    webhookId: webhook._id,
+    event,
+    className,
+    objectId: object.id,
+    payload,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    finishedAt: null,
+    redeliveryOf: null,
+  }));
+  await deliveries.insertMany(entries);
+  // Send without holding up the save; failures are retried by the poller
+  trackJob(deliverNow(entries.map((entry) => entry._id))).catch((error) =>
+    logger.error('Failed to send webhooks', { className, objectId: object.id, error })
+  );
+}
+
+function enqueueSafely(event, request) {
+  return enqueue(event, request).catch((error) =>
+    logger.error('Failed to enqueue webhooks', { className: request.object.className, objectId: request.object.id, error })
+  );
+}
+
+// Moving a record to the trash is its delete; purging it later is not reported again
+addGlobalTrigger('afterSave', (request) => {
+  const { object, original } = request;
+  const trashed = Boolean(object.get(DELETED_FIELD)) && !(original && original.get(DELETED_FIELD));
+  return enqueueSafely(trashed ? 'delete' : original ? 'update' : 'create', request);
+});
+
+addGlobalTrigger('afterDelete', (request) => {
+  if (request.object.get(DELETED_FIELD)) {
+    return undefined;
+  }
+  return enqueueSafely('delete', request);
+});
+
+// ==================== CLOUD FUNCTIONS ====================
+
+/**
+ * Subscribe a URL to changes of a class
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Name of the class, or '*' for every class not starting with '_'
+ * @param {string[]} request.params.events - create, update and/or delete (default: all)
+ * @param {string} request.params.url - http(s) URL the changes are POSTed to
+ * @param {string} request.params.secret - Signing secret (default: generated)
+ */
+Parse.Cloud.define(
+  'createWebhook',
+  async (request) => {
+    const { className, events = EVENTS, url, secret = crypto.randomBytes(32).toString('hex') } = request.params;
+
+    if (!className || !url) {
+      throw new Error('className and url are required');
+    }
+    checkUrl(url);
+    checkEvents(events);
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new Error('secret must be at least 16 characters');
+    }
+
+    try {
+      const { webhooks } = await collections();
+      const webhook = { _id: newId(), className, events, url, secret, active: true, createdAt: new Date() };
+      webhook.updatedAt = webhook.createdAt;
+      await webhooks.insertOne(webhook);
+      await recordAudit(request, {
+        operation: 'createWebhook',
+        className,
+        diff: { webhook: { after: publicWebhook(webhook) } },
+      });
+
+      return {
+        success: true,
+        message: 'Webhook created successfully',
+        webhook: publicWebhook(webhook),
+        secret: secret,
+      };
+    } catch (error) {
+      throw cloudError('Failed to create webhook', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * List webhook subscriptions. Secrets are not returned.
+ * @param {Object} request - The request object
+ * @param {string} request.params.className - Only subscriptions for this class
+ */
+Parse.Cloud.define(
+  'listWebhooks',
+  async (request) => {
+    const { className } = request.params;
+
+    try {
+      const { webhooks } = await collections();
+      const found = await webhooks
+        .find(className ? { className } : {})
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      return {
+        success: true,
+        webhooks: found.map(publicWebhook),
+      };
+    } catch (error) {
+      throw cloudError('Failed to list webhooks', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Change a webhook subscription. Deactivating it cancels its pending deliveries.
+ * @param {Object} request - The request object
+ * @param {string} request.params.webhookId - ID of the subscription
+ * @param {string[]} request.params.events - New events
+ * @param {string} request.params.url - New URL
+ * @param {boolean} request.params.active - Enable or pause the subscription
+ * @param {string} request.params.secret - New signing secret
+ */
+Parse.Cloud.define(
+  'updateWebhook',
+  async (request) => {
+    const { webhookId, events, url, active, secret } = request.params;
+
+    if (!webhookId) {
+      throw new Error('webhookId is required');
+    }
+    if (url !== undefined) checkUrl(url);
+    if (events !== undefined) checkEvents(events);
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new Error('active must be a boolean');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new Error('secret must be at least 16 characters');
+    }
+
+    try {
+      const { webhooks, deliveries } = await collections();
+      const before = await webhooks.findOne({ _id: webhookId });
+      if (!before) {
+        throw new Error(`Webhook ${webhookId} not found`);
+      }
+      const changes = { updatedAt: new Date() };
+      if (events !== undefined) changes.events = events;
+      if (url !== undefined) changes.url = url;
+      if (active !== undefined) changes.active = active;
+      if (secret !== undefined) changes.secret = secret;
+      await webhooks.updateOne({ _id: webhookId }, { $set: changes });
+      if (active === false) {
+        await deliveries.updateMany(
+          { webhookId, status: 'pending' },
+          { $set: { status: 'cancelled', nextAttemptAt: null, finishedAt: new Date() } }
+        );
+      }
+
+      const after = { ...before, ...changes };
+      await recordAudit(request, {
+        operation: 'updateWebhook',
+        className: before.className,
+        diff: { webhook: { before: publicWebhook(before), after: publicWebhook(after) } },
+      });
+
+      return {
+        success: true,
+        message: 'Webhook updated successfully',
+        webhook: publicWebhook(after),
+      };
+    } catch (error) {
+      throw cloudError('Failed to update webhook', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Delete a webhook subscription and cancel its pending deliveries. The delivery log is kept.
+ * @param {Object} request - The request object
+ * @param {string} request.params.webhookId - ID of the subscription
+ */
+Parse.Cloud.define(
+  'deleteWebhook',
+  async (request) => {
+    const { webhookId } = request.params;
+
+    if (!webhookId) {
+      throw new Error('webhookId is required');
+    }
+
+    try {
+      const { webhooks, deliveries } = await collections();
+      const webhook = await webhooks.findOne({ _id: webhookId });
+      if (!webhook) {
+        throw new Error(`Webhook ${webhookId} not found`);
+      }
+      await webhooks.deleteOne({ _id: webhookId });
+      await deliveries.updateMany(
+        { webhookId, status: 'pending' },
+        { $set: { status: 'cancelled', nextAttemptAt: null, finishedAt: new Date() } }
+      );
+      await recordAudit(request, {
+        operation: 'deleteWebhook',
+        className: webhook.className,
+        diff: { webhook: { before: publicWebhook(webhook) } },
+      });
+
+      return {
+        success: true,
+        message: 'Webhook deleted successfully',
+        webhookId: webhookId,
+      };
+    } catch (error) {
+      throw cloudError('Failed to delete webhook', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Query the delivery log, newest first
+ * @param {Object} request - The request object
+ * @param {string} request.params.webhookId - Only deliveries of this subscription
+ * @param {string} request.params.status - pending, succeeded, failed or cancelled
+ * @param {string} request.params.className - Only deliveries for this class
+ * @param {string} request.params.objectId - Only deliveries for this record
+ * @param {number} request.params.limit - Limit number of results (default 100)
+ * @param {number} request.params.skip - Skip number of results
+ */
+Parse.Cloud.define(
+  'listWebhookDeliveries',
+  async (request) => {
+    const { webhookId, status, className, objectId, limit = 100, skip = 0 } = request.params;
+
+    if (limit > getConfig().maxQueryLimit) {
+      throw new Error(`limit must be at most ${getConfig().maxQueryLimit}`);
+    }
+
+    try {
+      const filter = {};
+      if (webhookId) filter.webhookId = webhookId;
+      if (status) filter.status = status;
+      if (className) filter.className = className;
+      if (objectId) filter.objectId = objectId;
+
+      const { deliveries } = await collections();
+      const found = await deliveries.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
+
+      return {
+        success: true,
+        count: found.length,
+        deliveries: found.map(publicDelivery),
+      };
+    } catch (error) {
+      throw cloudError('Failed to list webhook deliveries', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+/**
+ * Send a delivery again, as a new delivery with the same payload. The first
+ * attempt is made before returning; failures are retried like any delivery.
+ * @param {Object} request - The request object
+ * @param {string} request.params.deliveryId - ID of the delivery to replay
+ */
+Parse.Cloud.define(
+  'redeliverWebhook',
+  async (request) => {
+    const { deliveryId } = request.params;
+
+    if (!deliveryId) {
+      throw new Error('deliveryId is required');
+    }
+
+    try {
+      const { webhooks, deliveries } = await collections();
+      const original = await deliveries.findOne({ _id: deliveryId });
+      if (!original) {
+        throw new Error(`Delivery ${deliveryId} not found`);
+      }
+      const webhook = await webhooks.findOne({ _id: original.webhookId });
+      if (!webhook || !webhook.active) {
+        throw new Error(`Webhook ${original.webhookId} is deleted or inactive`);
+      }
+
+      const now = new Date();
+      const redelivery = {
+        ...original,
+        _id: newId(),
+        status: 'pending',
+        attemptCount: 0,
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        finishedAt: null,
+        redeliveryOf: original._id,
+      };
+      await deliveries.insertOne(redelivery);
+      await trackJob(deliverNow([redelivery._id]));
+      await recordAudit(request, {
+        operation: 'redeliverWebhook',
+        className: original.className,
+        objectId: original.objectId,
+        diff: { delivery: { before: original._id, after: redelivery._id } },
+      });
+
+      return {
+        success: true,
+        delivery: publicDelivery(await deliveries.findOne({ _id: redelivery._id })),
+      };
+    } catch (error) {
+      throw cloudError('Failed to redeliver webhook', error);
+    }
+  },
+  { requireMaster: true }
+);
+
+module.exports = {
+  signPayload,
+  processDueDeliveries,
+};
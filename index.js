@@ -2,22 +2,37 @@ import express from 'express';
 import { ParseServer, FileSystemAdapter } from 'parse-server';
 import ParseDashboardImport from 'parse-dashboard';
 import http from 'http';
-import { WebSocketServer } from 'ws';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { pipeline } from 'stream/promises';
 
 // --- إعداد المسارات ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// --- Configuration ---
+// Environment variables and optional config file, validated in cloud/config.cjs
+const { getConfig, assertProductionSafe, redactConfig } = require('./cloud/config.cjs');
+const { logger, setLogLevel, requestLogger, requestContext } = require('./cloud/logger.cjs');
+let config;
+try {
+  config = getConfig();
+  assertProductionSafe(config);
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+setLogLevel(config.logLevel);
+logger.info('Effective configuration', { config: redactConfig(config) });
 
 // --- إعداد التطبيق ---
 const app = express();
-const PORT = process.env.PORT || 1337;
+const PORT = config.port;
 const PARSE_MOUNT = '/parse';
 const DASHBOARD_MOUNT = '/dashboard';
-
-// --- MongoDB URI ---
-const mongoUri = process.env.MONGODB_URI || 'mongodb://mongo:27017/parse';
+const LIVE_QUERY_PATH = config.liveQueryPath;
 
 // --- File Adapter ---
 const filesAdapter = new FileSystemAdapter({
@@ -26,48 +41,77 @@ const filesAdapter = new FileSystemAdapter({
 
 // --- Parse Server Configuration ---
 const parseServerConfig = {
-  databaseURI: mongoUri,
+  databaseURI: config.databaseURI,
   cloud: path.join(__dirname, 'cloud', 'main.cjs'),
-  appId: process.env.APP_ID || 'parse-app-id-123456789',
-  masterKey: process.env.MASTER_KEY || 'parse-master-key-123456789',
-  serverURL: process.env.SERVER_URL || `http://localhost:${PORT}${PARSE_MOUNT}`,
-  publicServerURL: process.env.PUBLIC_SERVER_URL || `http://localhost:${PORT}${PARSE_MOUNT}`,
+  appId: config.appId,
+  masterKey: config.masterKey,
+  serverURL: config.serverURL,
+  publicServerURL: config.publicServerURL,
+  // Classes whose changes are pushed to LiveQuery subscribers
   liveQuery: {
-    classNames: ['_Session', 'User', 'Post', 'Comment', 'Message'],
+    classNames: config.liveQueryClasses,
   },
-  filesAdapter,
-  classLevelPermissions: {
-    '*': {
-      find: { '*': true },
-      count: { '*': true },
-      get: { '*': true },
-      create: { '*': true },
-      update: { '*': true },
-      delete: { '*': true },
-      addField: { '*': true },
-    },
+  // Classes whose saves are versioned (getRecordHistory, revertRecord)
+  history: {
+    classNames: config.historyClasses,
   },
-  allowClientClassCreation: true,
+  filesAdapter,
+  maxUploadSize: config.maxUploadSize,
+  classLevelPermissions: config.classLevelPermissions,
+  allowClientClassCreation: config.allowClientClassCreation,
   allowCustomObjectId: true,
-  enforcePrivateUsers: false,
   revokeSessionOnPasswordChange: false,
+  // Parse Server's own logs, in JSON like ours
+  jsonLogs: true,
+  logLevel: config.logLevel,
+  // Run SDK calls in-process so migrations can use Parse.Schema before the HTTP server listens
+  directAccess: true,
 };
 
 // --- تهيئة Parse Server ---
+const serverStarted = new Promise((resolve, reject) => {
+  parseServerConfig.serverStartComplete = (error) => (error ? reject(error) : resolve());
+});
 const parseServer = new ParseServer(parseServerConfig);
 
+// --- Request Logging ---
+app.use(requestLogger());
+const { trackRequests, trackJob, gracefulShutdown } = require('./cloud/shutdown.cjs');
+app.use(trackRequests());
+
+// --- Metrics ---
+const { metricsMiddleware, metricsHandler, trackLiveQuery } = require('./cloud/metrics.cjs');
+app.use(metricsMiddleware({ parseMount: PARSE_MOUNT, prefixes: [DASHBOARD_MOUNT] }));
+
 // --- Middleware ---
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// --- CORS Headers ---
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Parse-Application-Id, X-Parse-Master-Key, X-Parse-Session-Token');
-  if (req.method === 'OPTIONS') res.sendStatus(200);
-  else next();
-});
+app.use(express.json({ limit: config.maxBodySize }));
+app.use(express.urlencoded({ extended: true, limit: config.maxBodySize }));
+
+const { createStore, parseTextBody, rateLimitMiddleware } = require('./cloud/ratelimit.cjs');
+const rateLimitStore = createStore(config);
+app.use(PARSE_MOUNT, parseTextBody(config.maxBodySize));
+app.use(requestContext());
+
+// --- CORS ---
+const { corsMiddleware } = require('./cloud/cors.cjs');
+app.use(
+  corsMiddleware({
+    policies: config.corsPolicies,
+    serverURLs: [config.serverURL, config.publicServerURL],
+  })
+);
+
+// --- Rate Limits ---
+app.use(
+  rateLimitMiddleware({
+    mount: PARSE_MOUNT,
+    masterKey: config.masterKey,
+    rules: config.rateLimits,
+    store: rateLimitStore,
+    maxBatchSize: config.maxBatchSize,
+    maxQueryLimit: config.maxQueryLimit,
+  })
+);
 
 // --- Mount Parse Server ---
 app.use(PARSE_MOUNT, parseServer.app);
@@ -81,13 +125,13 @@ const dashboardConfig = {
       appId: parseServerConfig.appId,
       masterKey: parseServerConfig.masterKey,
       appName: 'Parse Server App',
-      production: true,
+      production: config.production,
     },
   ],
   users: [
     {
-      user: process.env.DASHBOARD_USER || 'admin',
-      pass: process.env.DASHBOARD_PASSWORD || 'admin123',
+      user: config.dashboardUser,
+      pass: config.dashboardPassword,
     },
   ],
   trustProxy: 1,
@@ -95,14 +139,61 @@ const dashboardConfig = {
 const dashboard = new ParseDashboard(dashboardConfig, true);
 app.use(DASHBOARD_MOUNT, dashboard);
 
-// --- Health Check ---
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    parseServer: 'running',
-    liveQueries: 'enabled',
-  });
+// --- Health Checks ---
+const { readiness, setLiveQueryServer } = require('./cloud/health.cjs');
+
+// Liveness: the process serves requests; restart the instance if this fails
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), uptime: process.uptime() });
+});
+
+// Readiness: every dependency works; stop routing traffic here while this returns 503
+const readinessHandler = async (req, res) => {
+  const result = await readiness();
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+};
+app.get('/health/ready', readinessHandler);
+app.get('/health', readinessHandler);
+
+// --- Prometheus Metrics ---
+// Protected by `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set
+app.get('/metrics', metricsHandler({ token: config.metricsToken }));
+
+// --- Streaming Table Export ---
+// Same parameters as the exportTable cloud function, streamed without buffering the table
+app.get('/export/:className', async (req, res) => {
+  if (req.get('X-Parse-Application-Id') !== parseServerConfig.appId) {
+    res.status(403).json({ error: 'unauthorized' });
+    return;
+  }
+  const sessionToken = req.get('X-Parse-Session-Token');
+  const options =
+    req.get('X-Parse-Master-Key') === parseServerConfig.masterKey
+      ? { useMasterKey: true }
+      : sessionToken
+        ? { sessionToken }
+        : {};
+
+  try {
+    const { FORMATS, exportStream } = require('./cloud/transfer.cjs');
+    const format = req.query.format || 'csv';
+    const stream = await exportStream(
+      req.params.className,
+      {
+        format,
+        filters: req.query.filters ? JSON.parse(req.query.filters) : undefined,
+        fields: req.query.fields ? req.query.fields.split(',') : undefined,
+      },
+      options
+    );
+    res.set('Content-Type', FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="${req.params.className}.${format}"`);
+    await pipeline(stream, res);
+  } catch (error) {
+    logger.error('Export failed', { className: req.params.className, error });
+    if (res.headersSent) res.destroy(error);
+    else res.status(400).json({ error: error.message });
+  }
 });
 
 // --- Root Endpoint ---
@@ -114,18 +205,79 @@ app.get('/', (req, res) => {
   });
 });
 
-// --- HTTP + WebSocket Server for Live Queries ---
+// --- HTTP + LiveQuery Server ---
 const httpServer = http.createServer(app);
-const wss = new WebSocketServer({ server: httpServer });
-
-wss.on('connection', (ws) => {
-  console.log('✅ WebSocket client connected');
-  ws.on('close', () => console.log('❌ WebSocket client disconnected'));
-  ws.on('error', (err) => console.error('WebSocket error:', err));
+const { PathWSAdapter } = require('./cloud/livequery.cjs');
+const liveQueryServer = ParseServer.createLiveQueryServer(httpServer, {
+  wssAdapter: PathWSAdapter,
+  path: LIVE_QUERY_PATH,
+  // Clients must send the app id; the master key marks trusted server-side clients
+  keyPairs: {
+    applicationId: parseServerConfig.appId,
+    masterKey: parseServerConfig.masterKey,
+  },
 });
+trackLiveQuery(liveQueryServer);
+setLiveQueryServer(liveQueryServer);
+
+// --- Graceful Shutdown ---
+// Drain in-flight work for up to SHUTDOWN_TIMEOUT_MS, then close everything; exit anyway if that hangs
+const shutdown = (signal) => {
+  setTimeout(() => process.exit(1), config.shutdownTimeoutMs + 10 * 1000).unref();
+  gracefulShutdown({
+    signal,
+    httpServer,
+    liveQueryServer,
+    parseServer,
+    timeoutMs: config.shutdownTimeoutMs,
+    closers: [() => rateLimitStore.close()],
+  }).then(
+    () => process.exit(0),
+    (error) => {
+      logger.error('Shutdown failed', { error });
+      process.exit(1);
+    }
+  );
+};
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+// --- Schema Migrations ---
+await serverStarted;
+const { applyPendingMigrations } = require('./cloud/migrations.cjs');
+const appliedMigrations = await applyPendingMigrations();
+logger.info('Migrations up to date', { applied: appliedMigrations.length });
+
+// --- Global Class Triggers ---
+// Classes get their triggers when they are created; the refresh picks up classes other
+// instances created. Classes with validation rules get them now, so their first write
+// is validated even when it creates the class
+const { installTriggers, installTriggersForAllClasses } = require('./cloud/triggers.cjs');
+await installTriggersForAllClasses();
+Object.keys(config.validationRules).forEach((className) => installTriggers(className));
+setInterval(() => {
+  installTriggersForAllClasses().catch((error) => logger.error('Failed to refresh class triggers', { error }));
+}, 60 * 1000).unref();
+
+// --- Trash Retention ---
+// Purge trashed tables and records older than TRASH_RETENTION_DAYS, hourly
+const { purgeExpiredTrash } = require('./cloud/trash.cjs');
+setInterval(() => {
+  trackJob(purgeExpiredTrash()).catch((error) => logger.error('Failed to purge trash', { error }));
+}, 60 * 60 * 1000).unref();
+
+// --- Webhook Retries ---
+// Send deliveries whose retry is due; new deliveries are sent when enqueued
+const { processDueDeliveries } = require('./cloud/webhooks.cjs');
+setInterval(() => {
+  trackJob(processDueDeliveries()).catch((error) => logger.error('Failed to send webhooks', { error }));
+}, 5 * 1000).unref();
 
 // --- Start Server ---
 httpServer.listen(PORT, () => {
-  console.log(`✅ Parse Server running on http://localhost:${PORT}`);
-  console.log(`✅ Dashboard: http://localhost:${PORT}${DASHBOARD_MOUNT}`);
+  logger.info('Server listening', {
+    parse: `http://localhost:${PORT}${PARSE_MOUNT}`,
+    dashboard: `http://localhost:${PORT}${DASHBOARD_MOUNT}`,
+    liveQuery: `ws://localhost:${PORT}${LIVE_QUERY_PATH}`,
+  });
 });
@@ -0,0 +1,35 @@
+/**
+ * Create the classes that LiveQuery subscribes to, so clients can subscribe
+ * before the first row is written.
+ */
+
+const { defineSchema } = require('../cloud/schema.cjs');
+
+const CLASS_NAMES = ['Post', 'Comment', 'Message'];
+
+async function classExists(className) {
+  try {
+    await new Parse.Schema(className).get();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  async up() {
+    for (const className of CLASS_NAMES) {
+      if (!(await classExists(className))) {
+        await defineSchema(className).save();
+      }
+    }
+  },
+
+  async down() {
+    for (const className of CLASS_NAMES) {
+      if (await classExists(className)) {
+        await new Parse.Schema(className).delete();
+      }
+    }
+  },
+};
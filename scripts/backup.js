@@ -0,0 +1,69 @@
+/**
+ * Back up or restore the database and stored files from the command line
+ *
+ *   npm run backup -- [--output <archive>] [--classes A,B] [--no-files]
+ *   npm run restore -- <archive> [--classes A,B] [--no-files]
+ *
+ * Connects to the configured database (MONGODB_URI) directly, so the Parse
+ * Server does not need to run.
+ */
+import path from 'path';
+import { createRequire } from 'module';
+import mongodb from 'mongodb';
+
+const require = createRequire(import.meta.url);
+const { MongoClient } = mongodb;
+const { createBackup, restoreBackup } = require('../cloud/backup.cjs');
+const { getConfig } = require('../cloud/config.cjs');
+
+const { databaseURI: mongoUri, backupDir } = getConfig();
+// Where FileSystemAdapter stores files for filesSubDirectory './public/files'
+const filesDir = path.join('files', 'public', 'files');
+
+function parseArgs(argv) {
+  const args = { positional: [], files: true };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--output') args.output = argv[++i];
+    else if (argv[i] === '--classes') args.classes = argv[++i].split(',');
+    else if (argv[i] === '--no-files') args.files = false;
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+const [command, ...rest] = process.argv.slice(2);
+const args = parseArgs(rest);
+
+if (command !== 'backup' && command !== 'restore') {
+  console.error('Usage: node scripts/backup.js <backup|restore> [options]');
+  process.exit(1);
+}
+if (command === 'restore' && !args.positional[0]) {
+  console.error('Usage: npm run restore -- <archive> [--classes A,B] [--no-files]');
+  process.exit(1);
+}
+
+const client = await MongoClient.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
+try {
+  const db = client.db();
+  if (command === 'backup') {
+    const output =
+      args.output || path.join(backupDir, `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+    const stats = await createBackup(db, {
+      output,
+      classes: args.classes,
+      filesDir: args.files ? filesDir : null,
+    });
+    console.log(`✅ Backed up ${stats.collections} collections, ${stats.documents} documents and ${stats.files} files to ${output}`);
+  } else {
+    const input = args.positional[0];
+    const stats = await restoreBackup(db, {
+      input,
+      classes: args.classes,
+      filesDir: args.files ? filesDir : null,
+    });
+    console.log(`✅ Restored ${stats.collections} collections, ${stats.documents} documents and ${stats.files} files from ${input}`);
+  }
+} finally {
+  await client.close();
+}
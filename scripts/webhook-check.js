@@ -0,0 +1,159 @@
+/**
+ * Check webhook deliveries end to end against a running server
+ *
+ *   npm run webhooks:check -- [--failures 2] [--host 127.0.0.1] [--port 4000]
+ *
+ * Starts a local HTTP receiver that answers the first `--failures` requests
+ * with 500, subscribes it to creates in the `WebhookCheck` class and creates
+ * a record. Checks that every request is signed as documented, that the
+ * delivery is retried with doubling delays and that it ends as succeeded.
+ * `--host` is the address the server reaches the receiver at.
+ *
+ * Uses the server at SERVER_URL with the master key. Start the server with
+ * a short WEBHOOK_RETRY_BASE_MS (e.g. 1000): retries are sent by a poll
+ * every 5 seconds.
+ */
+import http from 'http';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Parse = require('parse/node');
+const { getConfig } = require('../cloud/config.cjs');
+
+const CLASS_NAME = 'WebhookCheck';
+const POLL_INTERVAL_MS = 5000;
+// Signatures older than this are rejected, as receivers should
+const SIGNATURE_TOLERANCE_S = 300;
+
+const { serverURL, appId, masterKey, webhookRetryBaseMs, webhookMaxAttempts, webhookTimeoutMs } = getConfig();
+
+function parseArgs(argv) {
+  const args = { failures: 2, host: '127.0.0.1', port: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--failures') args.failures = Number(argv[++i]);
+    else if (argv[i] === '--host') args.host = argv[++i];
+    else if (argv[i] === '--port') args.port = Number(argv[++i]);
+  }
+  return args;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Verify a signature header the way a receiver would.
+ */
+function validSignature(header, body, secret) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const [, t, v1] = match;
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return (
+    crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)) &&
+    Math.abs(Date.now() / 1000 - Number(t)) < SIGNATURE_TOLERANCE_S
+  );
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!Number.isInteger(args.failures) || args.failures < 0 || args.failures >= webhookMaxAttempts) {
+  console.error(`--failures must be an integer from 0 to ${webhookMaxAttempts - 1} (WEBHOOK_MAX_ATTEMPTS - 1)`);
+  process.exit(1);
+}
+
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ at: Date.now(), headers: req.headers, body });
+    const fail = received.length <= args.failures;
+    res.writeHead(fail ? 500 : 200, { 'Content-Type': 'text/plain' });
+    res.end(fail ? 'failing on purpose' : 'ok');
+  });
+});
+await new Promise((resolve) => receiver.listen(args.port, resolve));
+const url = `http://${args.host}:${receiver.address().port}/hook`;
+
+Parse.initialize(appId, undefined, masterKey);
+Parse.serverURL = serverURL;
+const options = { useMasterKey: true };
+
+const problems = [];
+const check = (ok, message) => {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) problems.push(message);
+};
+
+let webhookId;
+let record;
+try {
+  const created = await Parse.Cloud.run('createWebhook', { className: CLASS_NAME, events: ['create'], url }, options);
+  webhookId = created.webhook.webhookId;
+  console.log(`Receiver listening at ${url}, subscribed as ${webhookId}`);
+  record = await new Parse.Object(CLASS_NAME).save({ checkedAt: new Date() }, options);
+
+  // Every retry waits for its delay, then for the next poll
+  let deadline = Date.now() + webhookTimeoutMs + 10 * 1000;
+  for (let n = 1; n <= args.failures; n++) {
+    deadline += webhookRetryBaseMs * 2 ** (n - 1) * 1.1 + POLL_INTERVAL_MS + webhookTimeoutMs;
+  }
+  while (received.length < args.failures + 1 && Date.now() < deadline) {
+    await sleep(100);
+  }
+
+  check(received.length === args.failures + 1, `${received.length} of ${args.failures + 1} requests received`);
+  received.forEach(({ headers, body }, index) => {
+    check(
+      validSignature(headers['x-webhook-signature'], body, created.secret),
+      `request ${index + 1} has a valid X-Webhook-Signature`
+    );
+  });
+  check(
+    received.every(({ headers }) => headers['x-webhook-id'] === received[0].headers['x-webhook-id']),
+    'every attempt is the same delivery'
+  );
+  check(
+    received.every(({ body }) => {
+      const payload = JSON.parse(body);
+      return payload.event === 'create' && payload.className === CLASS_NAME && payload.objectId === record.id;
+    }),
+    'every payload is the create of the new record'
+  );
+  for (let n = 1; n < received.length; n++) {
+    const gap = received[n].at - received[n - 1].at;
+    const delay = webhookRetryBaseMs * 2 ** (n - 1);
+    check(gap >= delay, `retry ${n} came after ${gap}ms, at least the ${delay}ms backoff`);
+  }
+
+  // The attempt is logged right after the receiver answers
+  let delivery;
+  for (let i = 0; i < 50 && !(delivery && delivery.status === 'succeeded'); i++) {
+    const { deliveries } = await Parse.Cloud.run('listWebhookDeliveries', { webhookId }, options);
+    delivery = deliveries[0];
+    await sleep(100);
+  }
+  check(Boolean(delivery) && delivery.status === 'succeeded', `delivery status is ${delivery && delivery.status}`);
+  check(
+    Boolean(delivery) && delivery.attemptCount === args.failures + 1,
+    `delivery log has ${delivery ? delivery.attemptCount : 0} attempts`
+  );
+} catch (error) {
+  check(false, `check failed: ${error.message}`);
+} finally {
+  if (record) await record.destroy(options).catch(() => {});
+  if (webhookId) await Parse.Cloud.run('deleteWebhook', { webhookId }, options).catch(() => {});
+  receiver.close();
+}
+
+if (problems.length > 0) {
+  console.error(`❌ ${problems.length} webhook checks failed`);
+  process.exit(1);
+}
+console.log('✅ Webhook deliveries are signed and retried as configured');
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The LiveQuery module registers triggers on a running Parse Server; the route labels do not need it
+require.cache[require.resolve('../cloud/livequery.cjs')] = { loaded: true, exports: { liveQueryStats() {} } };
+const { routeLabel } = require('../cloud/metrics.cjs');
+
+const label = (originalUrl) => routeLabel({ originalUrl }, '/parse');
+
+test('reduces Parse routes to templates', () => {
+  assert.strictEqual(label('/parse/classes/Post'), '/parse/classes/:className');
+  assert.strictEqual(label('/parse/classes/Post/abc123?include=author'), '/parse/classes/:className/:objectId');
+  assert.strictEqual(label('/parse/functions/readTable'), '/parse/functions/:name');
+  assert.strictEqual(label('/parse/users/me'), '/parse/users/:id');
+  assert.strictEqual(label('/parse/login'), '/parse/login');
+});
+
+test('reports unknown Parse resources under one label', () => {
+  assert.strictEqual(label('/parse/random-1'), '/parse/unknown');
+  assert.strictEqual(label('/parse/random-2/x'), '/parse/unknown');
+  assert.strictEqual(label('/parse/classes/Post/abc123/a/b'), '/parse/unknown');
+});
+
+test('uses the Express route when there is one', () => {
+  const req = { originalUrl: '/export/Post', baseUrl: '', route: { path: '/export/:className' } };
+  assert.strictEqual(routeLabel(req, '/parse'), '/export/:className');
+  assert.strictEqual(label('/elsewhere'), 'unmatched');
+});